@@ -0,0 +1,145 @@
+import { encode as msgpackEncode, decode as msgpackDecode } from '@msgpack/msgpack';
+import { deflateSync, inflateSync } from 'fflate';
+
+// Payload formats (the plaintext inside the encrypted event content):
+//
+// Version 1 is the original format - a JSON object of
+//   { [key]: { value, lastModified, hlc?, deleted? } }
+// (hlc is the entry's hybrid logical clock stamp, ignored by older devices)
+//
+// Version 2 is an envelope string "nkv2:<encoding>:<body>" where the entries
+// use short field names and <encoding> is one of:
+//   m  - base64 msgpack
+//   mz - base64 deflated msgpack
+//
+// Unknown fields are passed through unchanged, so new entry fields only need
+// a short name added to COMPACT_FIELDS.
+
+const ENVELOPE_PREFIX = 'nkv';
+
+const COMPACT_FIELDS = {
+  value: 'v',
+  lastModified: 't',
+  hlc: 'h',
+  deleted: 'd',
+  base: 'b',
+};
+
+const LONG_FIELDS = Object.fromEntries(
+  Object.entries(COMPACT_FIELDS).map(([long, short]) => [short, long])
+);
+
+/**
+ * Rename the fields of every entry using the given field map
+ */
+function renameFields(data, fieldMap) {
+  const renamed = {};
+  for (const [key, entry] of Object.entries(data)) {
+    const out = {};
+    for (const [field, fieldValue] of Object.entries(entry)) {
+      out[fieldMap[field] || field] = fieldValue;
+    }
+    renamed[key] = out;
+  }
+  return renamed;
+}
+
+/**
+ * Base64 encode bytes
+ */
+function toBase64(bytes) {
+  let binary = '';
+  const chunkSize = 0x8000;
+  for (let i = 0; i < bytes.length; i += chunkSize) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunkSize));
+  }
+  return btoa(binary);
+}
+
+/**
+ * Base64 decode to bytes
+ */
+function fromBase64(text) {
+  const binary = atob(text);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+/**
+ * Encode store data as a payload string ready for encryption
+ * @param {Object} data Map of key to { value, lastModified, hlc?, deleted? }
+ * @param {Object} [options] Encoding options
+ * @param {string} [options.format] 'json' (version 1, readable by every device) or 'compact' (version 2)
+ * @param {boolean} [options.compress] Deflate compact payloads
+ * @returns {string} Payload string
+ */
+function encodePayload(data, { format = 'json', compress = false } = {}) {
+  if (format === 'json') {
+    return JSON.stringify(data);
+  }
+
+  if (format !== 'compact') {
+    throw new Error(`Unknown payload format: ${format}`);
+  }
+
+  const compact = renameFields(data, COMPACT_FIELDS);
+  for (const entry of Object.values(compact)) {
+    // Deleted entries don't need a value and deleted is just a flag
+    if (entry.d) {
+      delete entry.v;
+      entry.d = 1;
+    }
+  }
+
+  let body = msgpackEncode(compact);
+  let encoding = 'm';
+  if (compress) {
+    body = deflateSync(body);
+    encoding = 'mz';
+  }
+
+  return `${ENVELOPE_PREFIX}2:${encoding}:${toBase64(body)}`;
+}
+
+/**
+ * Decode a payload string produced by encodePayload (any version)
+ * @param {string} payload Payload string
+ * @returns {Object} Map of key to { value, lastModified, hlc?, deleted? }
+ */
+function decodePayload(payload) {
+  // Version 1 payloads are plain JSON objects
+  if (payload.startsWith('{')) {
+    return JSON.parse(payload);
+  }
+
+  const match = /^nkv(\d+):([a-z]+):(.*)$/.exec(payload);
+  if (!match) {
+    throw new Error('Unrecognized payload format');
+  }
+
+  const [, version, encoding, body] = match;
+  if (version !== '2') {
+    throw new Error(`Unsupported payload version: ${version}`);
+  }
+
+  let bytes = fromBase64(body);
+  if (encoding === 'mz') {
+    bytes = inflateSync(bytes);
+  } else if (encoding !== 'm') {
+    throw new Error(`Unsupported payload encoding: ${encoding}`);
+  }
+
+  const data = renameFields(msgpackDecode(bytes), LONG_FIELDS);
+  for (const entry of Object.values(data)) {
+    if (entry.deleted) {
+      entry.deleted = true;
+      entry.value = null;
+    }
+  }
+  return data;
+}
+
+export { encodePayload, decodePayload, toBase64, fromBase64 };
@@ -0,0 +1,178 @@
+// Conflict-free replicated value types. Their state is stored and published as
+// the entry's value, an object tagged with its type in "$crdt":
+//   pncounter - { p: { <node>: total added }, n: { <node>: total subtracted } }
+//   orset     - { a: { <tag>: item }, r: { <tag>: 1 } }
+//               every add gets a unique tag, a remove tombstones the tags it saw
+//   lwwmap    - { f: { <field>: { v: value, h: stamp, d: deleted } } }
+//               each field is last write wins on its own stamp
+//
+// merge() of two states of the same type is commutative, associative and
+// idempotent, so devices that have seen the same writes end up with the same
+// state in whatever order the writes arrived.
+
+const TYPES = {
+  pncounter: {
+    empty: () => ({ p: {}, n: {} }),
+    value: (state) => sum(state.p) - sum(state.n),
+    merge: (a, b) => ({ p: mergeObjects(a.p, b.p, Math.max), n: mergeObjects(a.n, b.n, Math.max) }),
+  },
+  orset: {
+    empty: () => ({ a: {}, r: {} }),
+    value: (state) => {
+      const items = new Map();
+      Object.keys(state.a).sort().forEach(tag => {
+        items.set(JSON.stringify(state.a[tag]), state.a[tag]);
+      });
+      return Array.from(items.values());
+    },
+    merge: (a, b) => {
+      const removed = mergeObjects(a.r, b.r, () => 1);
+      const added = mergeObjects(a.a, b.a, (x) => x);
+      Object.keys(removed).forEach(tag => delete added[tag]);
+      return { a: added, r: removed };
+    },
+  },
+  lwwmap: {
+    empty: () => ({ f: {} }),
+    value: (state) => {
+      const value = {};
+      Object.keys(state.f).sort().forEach(field => {
+        if (!state.f[field].d) value[field] = state.f[field].v;
+      });
+      return value;
+    },
+    merge: (a, b) => ({ f: mergeObjects(a.f, b.f, (x, y) => x.h >= y.h ? x : y) }),
+  },
+};
+
+/**
+ * Add up the numbers in an object
+ */
+function sum(object) {
+  return Object.values(object).reduce((total, n) => total + n, 0);
+}
+
+/**
+ * Combine two objects key by key, keys in both are combined with pick(a, b)
+ */
+function mergeObjects(a, b, pick) {
+  const merged = {};
+  new Set([...Object.keys(a), ...Object.keys(b)]).forEach(key => {
+    merged[key] = key in a && key in b ? pick(a[key], b[key]) : (key in a ? a[key] : b[key]);
+  });
+  return merged;
+}
+
+/**
+ * JSON with object keys sorted, so equal states serialize the same
+ */
+function canonical(value) {
+  return JSON.stringify(value, (key, v) => v && typeof v === 'object' && !Array.isArray(v) ?
+    Object.fromEntries(Object.keys(v).sort().map(k => [k, v[k]])) : v);
+}
+
+/**
+ * Check whether a stored value is CRDT state, optionally of a given type
+ * @param {*} value Stored value
+ * @param {string} [type] 'pncounter', 'orset' or 'lwwmap'
+ * @returns {boolean}
+ */
+function isCrdt(value, type) {
+  return !!value && typeof value === 'object' && Object.prototype.hasOwnProperty.call(TYPES, value.$crdt) &&
+    (!type || value.$crdt === type);
+}
+
+/**
+ * Create the empty state of a type
+ * @param {string} type 'pncounter', 'orset' or 'lwwmap'
+ * @returns {Object} State
+ */
+function emptyCrdt(type) {
+  return Object.assign({ $crdt: type }, TYPES[type].empty());
+}
+
+/**
+ * Get the plain value a state represents: a number, an array of items or an object of fields
+ * @param {Object} state CRDT state
+ * @returns {*} Value
+ */
+function crdtValue(state) {
+  return TYPES[state.$crdt].value(state);
+}
+
+/**
+ * Merge two states of the same type
+ * @param {Object} a CRDT state
+ * @param {Object} b CRDT state
+ * @returns {Object|null} Merged state, null if the types differ
+ */
+function mergeCrdt(a, b) {
+  if (a.$crdt !== b.$crdt) return null;
+  return Object.assign({ $crdt: a.$crdt }, TYPES[a.$crdt].merge(a, b));
+}
+
+/**
+ * Check whether two states are the same
+ * @returns {boolean}
+ */
+function sameCrdt(a, b) {
+  return canonical(a) === canonical(b);
+}
+
+/**
+ * Add to a counter (a negative amount subtracts)
+ * @param {Object} state Counter state
+ * @param {string} node Id of the writing store instance
+ * @param {number} amount Amount to add
+ * @returns {Object} New state
+ */
+function counterAdd(state, node, amount) {
+  const side = amount < 0 ? 'n' : 'p';
+  const totals = Object.assign({}, state[side], { [node]: (state[side][node] || 0) + Math.abs(amount) });
+  return Object.assign({}, state, { [side]: totals });
+}
+
+/**
+ * Add an item to a set
+ * @param {Object} state Set state
+ * @param {*} item JSON compatible item
+ * @param {string} tag Unique tag for this add, e.g. a clock stamp
+ * @returns {Object} New state
+ */
+function setAdd(state, item, tag) {
+  return Object.assign({}, state, { a: Object.assign({}, state.a, { [tag]: item }) });
+}
+
+/**
+ * Remove an item from a set, adds made concurrently on other devices survive
+ * @param {Object} state Set state
+ * @param {*} item Item to remove
+ * @returns {Object} New state
+ */
+function setRemove(state, item) {
+  const json = JSON.stringify(item);
+  const added = Object.assign({}, state.a);
+  const removed = Object.assign({}, state.r);
+  Object.keys(added).forEach(tag => {
+    if (JSON.stringify(added[tag]) === json) {
+      delete added[tag];
+      removed[tag] = 1;
+    }
+  });
+  return Object.assign({}, state, { a: added, r: removed });
+}
+
+/**
+ * Set or delete a field of a map
+ * @param {Object} state Map state
+ * @param {string} field Field name
+ * @param {*} value New value, undefined deletes the field
+ * @param {string} stamp Clock stamp of the write
+ * @returns {Object} New state
+ */
+function mapSet(state, field, value, stamp) {
+  const entry = value === undefined ? { v: null, h: stamp, d: true } : { v: value, h: stamp };
+  return Object.assign({}, state, { f: Object.assign({}, state.f, { [field]: entry }) });
+}
+
+export { isCrdt, emptyCrdt, crdtValue, mergeCrdt, sameCrdt, counterAdd, setAdd, setRemove, mapSet };
@@ -0,0 +1,88 @@
+// Hybrid logical clock stamps order writes across devices without trusting
+// their clocks to agree. A stamp is the string "<time>:<counter>:<node>":
+//   time    - physical time in ms, zero padded to 15 digits
+//   counter - hex, zero padded to 4 digits, orders writes within the same ms
+//   node    - id of the device that made the stamp, breaks exact ties
+// The fixed width fields make stamps compare correctly as plain strings.
+//
+// Entries written before stamps existed only carry lastModified. They are
+// compared as legacyStamp(lastModified), which has an empty node so it sorts
+// before any stamp with the same time and counter.
+
+const TIME_DIGITS = 15;
+const COUNTER_DIGITS = 4;
+const MAX_COUNTER = 0xffff;
+
+/**
+ * Format the parts of a stamp
+ */
+function formatStamp(time, counter, node) {
+  return `${String(time).padStart(TIME_DIGITS, '0')}:${counter.toString(16).padStart(COUNTER_DIGITS, '0')}:${node}`;
+}
+
+/**
+ * Split a stamp into its parts
+ * @param {string} stamp Stamp from a clock
+ * @returns {Object} { time, counter, node }
+ */
+function parseStamp(stamp) {
+  const [time, counter, node] = stamp.split(':');
+  return { time: parseInt(time, 10), counter: parseInt(counter, 16), node };
+}
+
+/**
+ * The stamp an entry with only a lastModified time is compared as
+ * @param {number} lastModified Time in ms
+ * @returns {string} Stamp
+ */
+function legacyStamp(lastModified) {
+  return formatStamp(lastModified || 0, 0, '');
+}
+
+/**
+ * Create a hybrid logical clock
+ * @param {string} node Id of this device, the same length on every device
+ * @param {Function} [wallClock] Returns the physical time in ms (default: Date.now)
+ * @returns {Object} Clock with now() and receive(stamp)
+ */
+function createClock(node, wallClock = Date.now) {
+  let time = 0;
+  let counter = 0;
+
+  return {
+    /**
+     * Stamp a local write, always later than every stamp made or received before
+     * @returns {string} Stamp
+     */
+    now() {
+      const physical = wallClock();
+      if (physical > time) {
+        time = physical;
+        counter = 0;
+      } else if (counter < MAX_COUNTER) {
+        counter++;
+      } else {
+        // The counter is exhausted, borrow the next millisecond
+        time++;
+        counter = 0;
+      }
+      return formatStamp(time, counter, node);
+    },
+
+    /**
+     * Move the clock past a stamp received from another device
+     * @param {string} stamp Received stamp
+     */
+    receive(stamp) {
+      const remote = parseStamp(stamp);
+      if (remote.time > time) {
+        time = remote.time;
+        counter = remote.counter;
+      } else if (remote.time === time && remote.counter > counter) {
+        counter = remote.counter;
+      }
+    },
+  };
+}
+
+export { createClock, parseStamp, legacyStamp };
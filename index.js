@@ -1,23 +1,23 @@
-import { get as idbGet, set as idbSet, del as idbDel, entries as idbEntries, createStore as createIdbStore } from 'idb-keyval';
-import { finalizeEvent, generateSecretKey, getPublicKey } from 'nostr-tools/pure';
+import { generateSecretKey, getPublicKey } from 'nostr-tools/pure';
 import * as nip04 from 'nostr-tools/nip04';
+import * as nip44 from 'nostr-tools/nip44';
 import { SimplePool } from 'nostr-tools/pool';
 import * as nip19 from 'nostr-tools/nip19';
 import createDebug from 'debug';
+import { createIdbStorage, createLocalStorage, createMemoryStorage, withBatchMethods } from './storage.js';
+import { encodePayload, decodePayload } from './codec.js';
+import { encodeInvite, decodeInvite } from './invite.js';
+import { createSecretKeySigner, createNip07Signer, createNip46Signer } from './signer.js';
+import { loadKeys, saveKeys } from './keystore.js';
+import { createEncryptedStorage } from './storage-encrypted.js';
+import { createClock, parseStamp, legacyStamp } from './hlc.js';
+import { createSupervisor, defaultEnvironment } from './supervisor.js';
+import { isCrdt, emptyCrdt, crdtValue, mergeCrdt, sameCrdt, counterAdd, setAdd, setRemove, mapSet } from './crdt.js';
 
-// TODO: shorten names from value to v and lastModified to t
-// TODO: del should set a special key "d" and v to nil, rather than actually deleting
-// TODO: lastSyncTime should be updated after successful processing not before
-// TODO: add "dirty" flag to the datastore and set on set, unset on successful sync
-// TODO: crunch the data down with msgpack
-// TODO: remove idb-keyval to use localStorage
-// TODO: fail to set() if the msgpack raw size gets above configurable value
-// TODO: investigate initial sync race: local changes on startup, might be published before merging recent remote changes received during initial connect
 
 // TODO: make the publishing thread clearer and more sequential - single fn with delays and flag checks
 // TODO: more robust testing of the publishing thread to check for race conditions and deadlocks
 
-// TODO: automatically re-sync when window.online event happens and at startup
 // TODO: tests should crash on fail - use something like tape?
 // TODO: update on leading edge of the debounce and every second after that? option to throttle?
 // TODO: add more timeout races to tests so we can sensibly time out
@@ -34,63 +34,240 @@ const DEFAULT_RELAYS = [
 // Ensures created_at timestamp is never duplicated
 const DEFAULT_DEBOUNCE = 1010;
 
+// Regular (non-replaceable) event kind used for incremental changes between snapshots
+const DELTA_KIND = 1078;
+
+// Default number of deltas and time in milliseconds before publishing a fresh snapshot
+const DEFAULT_COMPACT_AFTER = 20;
+const DEFAULT_COMPACT_INTERVAL = 10 * 60 * 1000;
+
+// Default time in milliseconds to wait for the relays' stored events at startup
+const DEFAULT_READY_TIMEOUT = 10000;
+
+// Seconds before a relay's sync cursor to ask for events from, for events that reach it late
+const CURSOR_OVERLAP = 60;
+
+// Number of merged event ids to remember for skipping copies from other relays
+const MAX_MERGED_EVENT_IDS = 1000;
+
+// Times an event that failed to merge is tried before it is skipped
+const MAX_EVENT_ATTEMPTS = 3;
+
+// Number of reported conflicts to remember so the same conflict isn't reported again
+const MAX_REPORTED_CONFLICTS = 1000;
+
+// Default time in milliseconds to keep deletion tombstones before purging them (30 days)
+const DEFAULT_TOMBSTONE_RETENTION = 30 * 24 * 60 * 60 * 1000;
+
+/**
+ * Pick the shard for a key using a 32 bit FNV-1a hash, stable across devices
+ */
+function shardIndex(key, shardCount) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < key.length; i++) {
+    hash ^= key.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0) % shardCount;
+}
+
+/**
+ * Error thrown when reading or writing while local encryption is locked
+ */
+class StoreLockedError extends Error {
+  constructor() {
+    super('Store is locked, call unlock() first');
+    this.name = 'StoreLockedError';
+  }
+}
+
+/**
+ * Convert an npub to a hex public key, hex keys are returned as is
+ */
+function toHexPubkey(key) {
+  return key.startsWith('npub') ? nip19.decode(key).data : key;
+}
+
+/**
+ * Error thrown when a write would make the published payload larger than maxPayloadBytes
+ */
+class PayloadTooLargeError extends Error {
+  constructor(size, maxBytes) {
+    super(`Payload size ${size} bytes exceeds the maximum of ${maxBytes} bytes`);
+    this.name = 'PayloadTooLargeError';
+    this.size = size;
+    this.maxBytes = maxBytes;
+  }
+}
+
 /**
  * Creates a key-value store that syncs with Nostr
  * @param {Object} options Configuration options
  * @param {string} options.namespace Namespace for the store
  * @param {string} [options.authNsec] Secret key for publishing (will be generated if not provided)
+ * @param {Object|Promise<Object>} [options.signer] Signer used instead of authNsec, e.g. createNip07Signer() or createNip46Signer()
  * @param {string} [options.kvNsec] Secret key for encryption (will be generated if not provided)
+ * @param {boolean|string} [options.persistKeys] Save generated keys in local storage and reuse them next time: true, or 'wrapped' to encrypt them with a non-extractable WebCrypto key (default: false)
  * @param {string[]} [options.relays] Array of relay URLs (defaults to predefined list)
  * @param {number} [options.debounce] Debounce time in ms for rapid updates (default: 1010)
  * @param {string} [options.dbName] Custom IndexedDB database name (useful for testing)
+ * @param {Object} [options.storage] Storage adapter for the local copy (default: IndexedDB named by dbName)
  * @param {number} [options.maxRetryCount] Max number of retry attempts (0 = retry forever, default: 0)
  * @param {number} [options.maxRetryDelay] Maximum delay between retries in ms (default: 60000)
+ * @param {string} [options.encryption] Encryption for published events: 'nip44' or 'nip04' (default: 'nip44')
+ * @param {string} [options.format] Payload format to publish: 'json' (readable by all versions) or 'compact' (default: 'json')
+ * @param {boolean} [options.compress] Deflate compact payloads (default: false)
+ * @param {number} [options.maxPayloadBytes] Reject writes that make the encrypted payload larger than this (0 = no limit, default: 0)
+ * @param {number} [options.shards] Number of events to partition the keys across (1 = no sharding, default: 1)
+ * @param {boolean} [options.incremental] Publish only changed entries as delta events between snapshots (default: false)
+ * @param {number} [options.compactAfter] Publish a fresh snapshot after this many deltas (default: 20)
+ * @param {number} [options.compactInterval] Publish a fresh snapshot when the last one is older than this many ms (default: 10 minutes)
+ * @param {number} [options.tombstoneRetention] Time in ms to keep deletion tombstones before purging them (default: 30 days)
+ * @param {boolean|Object} [options.encryptLocal] Encrypt the local copy: true to use a key derived from kvNsec (which must be passed or persisted with persistKeys), or { passphrase, keyNames } where passphrase is a string, or true to wait for unlock(passphrase) (default: false)
+ * @param {string} [options.invite] Invite from createInvite(), sets namespace, kvNsec, relays and authNsec
+ * @param {string} [options.passphrase] Passphrase for an invite that was created with one
+ * @param {Object} [options.resolvers] Merge functions (local, remote, meta) => merged for keys changed on both sides, by key or by prefix ending in '*' (default: last write wins)
+ * @param {number} [options.readyTimeout] Max time in ms to wait for the relays' stored events before ready() resolves anyway (default: 10000)
+ * @param {boolean} [options.waitForReady] Make get, getMany, listKeys and entries wait for ready() (default: false)
+ * @param {boolean} [options.reconnect] Resubscribe to relays that drop and after network or visibility changes (default: true)
+ * @param {Object} [options.environment] Source of online/offline and visibility changes, see supervisor.js (default: the browser's events, none in Node)
  * @returns {Object} Store interface with get, set, del methods
  */
 function createStore({
   namespace,
   authNsec,
+  signer = null,
   kvNsec,
+  persistKeys = false,
   relays = DEFAULT_RELAYS,
   debounce = DEFAULT_DEBOUNCE,
   dbName = null,
+  storage = null,
   maxRetryCount = 0,
   maxRetryDelay = 60000,
+  tombstoneRetention = DEFAULT_TOMBSTONE_RETENTION,
+  format = 'json',
+  compress = false,
+  maxPayloadBytes = 0,
+  shards = 1,
+  incremental = false,
+  compactAfter = DEFAULT_COMPACT_AFTER,
+  compactInterval = DEFAULT_COMPACT_INTERVAL,
+  encryption = 'nip44',
+  encryptLocal = false,
+  invite = null,
+  passphrase = null,
+  resolvers = {},
+  readyTimeout = DEFAULT_READY_TIMEOUT,
+  waitForReady = false,
+  reconnect = true,
+  environment = null,
 }) {
+  if (invite) {
+    const accepted = decodeInvite(invite, passphrase);
+    ({ namespace, kvNsec, relays } = accepted);
+    // Use the auth key the inviting device generated (and may have registered) for us
+    authNsec = accepted.authNsec || authNsec;
+  }
+
   if (!namespace) {
     throw new Error('Namespace is required');
   }
 
-  // Generate keys if not provided
-  const authSecretKey = authNsec ?
+  if (format !== 'json' && format !== 'compact') {
+    throw new Error(`Unknown format: ${format}`);
+  }
+
+  if (encryption !== 'nip44' && encryption !== 'nip04') {
+    throw new Error(`Unknown encryption: ${encryption}`);
+  }
+
+  if (persistKeys !== false && persistKeys !== true && persistKeys !== 'wrapped') {
+    throw new Error(`Unknown persistKeys mode: ${persistKeys}`);
+  }
+
+  if (encryptLocal && encryptLocal.passphrase && encryptLocal.passphrase !== true && typeof encryptLocal.passphrase !== 'string') {
+    throw new Error('encryptLocal.passphrase must be a string or true');
+  }
+
+  // A kv key generated for this session would derive a different local key next time, and one
+  // persisted in plaintext would sit in the same storage as the data it protects
+  if (encryptLocal && !encryptLocal.passphrase && !kvNsec && persistKeys !== 'wrapped') {
+    throw new Error('encryptLocal derives the local key from kvNsec, pass kvNsec or use a passphrase');
+  }
+
+  // Generate keys if not provided, with a signer the auth key never leaves it.
+  // With persistKeys, generated keys are replaced by saved ones during initialization.
+  let authSecretKey = signer ? null : authNsec ?
     (typeof authNsec === 'string' && authNsec.startsWith('nsec') ?
       nip19.decode(authNsec).data :
       authNsec) :
     generateSecretKey();
 
-  const kvSecretKey = kvNsec ?
+  // The shared key is replaced when the store's key is rotated
+  let kvSecretKey, kvPubkey, conversationKey;
+  function setKvKey(secretKey) {
+    kvSecretKey = secretKey;
+    kvPubkey = getPublicKey(secretKey);
+    // Content is encrypted to ourselves with the shared key
+    conversationKey = nip44.getConversationKey(kvSecretKey, kvPubkey);
+  }
+  setKvKey(kvNsec ?
     (typeof kvNsec === 'string' && kvNsec.startsWith('nsec') ?
       nip19.decode(kvNsec).data :
       kvNsec) :
-    generateSecretKey();
-
-  const authPubkey = getPublicKey(authSecretKey);
-  const kvPubkey = getPublicKey(kvSecretKey);
-
-  // Create debug loggers with namespace
-  const shortAuthKey = authPubkey.substring(0, 8);
-  const log = createDebug(`nostr-kv:store:${namespace}:${shortAuthKey}`);
-  const logError = createDebug(`nostr-kv:store:${namespace}:${shortAuthKey}:error`);
+    generateSecretKey());
+
+  // Signs our events, resolved during initialization along with a signer's public key
+  let authSigner = null;
+  let authPubkey = authSecretKey ? getPublicKey(authSecretKey) : null;
+
+  // Create debug loggers with namespace, recreated once a signer's public key is known
+  let log, logError;
+  function createLoggers() {
+    const shortAuthKey = authPubkey ? authPubkey.substring(0, 8) : 'signer';
+    log = createDebug(`nostr-kv:store:${namespace}:${shortAuthKey}`);
+    logError = createDebug(`nostr-kv:store:${namespace}:${shortAuthKey}:error`);
+  }
+  createLoggers();
 
   log("DEBUG ENABLED");
   logError("DEBUG ENABLED");
 
-  // Create a custom store for this namespace
-  const dbNameToUse = dbName || `nostr-kv-${namespace}`;
-  const customStore = createIdbStore(dbNameToUse, 'keyval');
-  const localGet = (key) => idbGet(key, customStore);
-  const localSet = (key, value) => idbSet(key, value, customStore);
-  const localDel = (key) => idbDel(key, customStore);
+  // Random id for this device, breaks clock ties and keeps our counter totals apart.
+  // Saved under DEVICE_ID_KEY, a new id per session would add a total to every counter we touch.
+  const DEVICE_ID_KEY = '_nkvmeta_deviceId';
+  let nodeId = null;
+  // Hybrid logical clock stamping local writes, created once the device id is loaded
+  let clock = null;
+
+  // Keys generated for this store, saved when persistKeys is set
+  const PERSISTED_KEYS_KEY = '_nkvmeta_keys';
+
+  // The shared key the local encryption key is derived from, encrypted with each shared key
+  // we rotated to, so a store opened with a rotated key can still unlock its local data
+  const LOCAL_SECRETS_KEY = '_nkvmeta_localSecrets';
+
+  // Use the provided storage adapter or an IndexedDB store for this namespace,
+  // encrypted at rest when encryptLocal is set. Saved keys are needed to unlock
+  // it, so they stay as persistKeys wrote them.
+  const baseStore = withBatchMethods(storage || createIdbStorage(dbName || `nostr-kv-${namespace}`));
+  const localEncryption = encryptLocal ?
+    createEncryptedStorage(baseStore, { keyNames: !!encryptLocal.keyNames, plainKeys: [PERSISTED_KEYS_KEY, LOCAL_SECRETS_KEY] }) :
+    null;
+  const localPassphrase = encryptLocal && encryptLocal.passphrase;
+  const localStore = localEncryption || baseStore;
+  const localGet = (key) => localStore.get(key);
+  const localSet = (key, value) => localStore.set(key, value);
+
+  // Each shard is published as its own addressable event with a derived d tag.
+  // Unsharded events (d = namespace) are always read so devices can switch modes.
+  const shardCount = Math.max(1, Math.floor(shards));
+  const shardTags = shardCount > 1 ?
+    Array.from({ length: shardCount }, (_, i) => `${namespace}:shard:${i}`) :
+    [namespace];
+  const subscribedTags = shardCount > 1 ? [namespace, ...shardTags] : shardTags;
+  const shardTagFor = (key) => shardTags[shardCount > 1 ? shardIndex(key, shardCount) : 0];
 
   // Create a SimplePool for relay management
   const pool = new SimplePool();
@@ -103,20 +280,208 @@ function createStore({
 
   // Variables for retry mechanism
   let publishRetryCount = 0;
+  let retryTimer = null;
   const BASE_RETRY_DELAY = 1000; // 1 second initial delay
 
-  // Change listeners
+  // Change listeners, called once per changed key
   const changeListeners = [];
-
-  // Special meta keys (stored in a special meta key that won't be synced)
+  // Batch change listeners, called once per batch of changes
+  const batchListeners = [];
+  // Conflict listeners, called when a local write and a remote one didn't see each other
+  const conflictListeners = [];
+  // Conflicts already reported, the same remote entry can arrive again in later snapshots.
+  // Only the latest MAX_REPORTED_CONFLICTS are kept, an older one is at worst reported twice.
+  const reportedConflicts = new Set();
+
+  // Per relay sync cursors: the created_at (in seconds) of the newest event merged from each
+  // relay, so a relay that lags behind the others is still asked for everything it missed.
+  // The single last sync time under LAST_SYNC_KEY that came before them is dropped.
+  const CURSOR_PREFIX = '_nkvmeta_cursor:';
   const LAST_SYNC_KEY = '_nkvmeta_lastSync';
-  let lastSyncTime = 0;
+  const cursors = new Map();
+
+  // Ids of recently merged events, the same event usually arrives from several relays
+  const mergedEventIds = new Set();
+
+  // Events that failed to merge, per relay by id as { createdAt, attempts }. The relay's cursor
+  // stays at the oldest of them until they merge, so they are fetched again after a restart.
+  const failedEvents = new Map();
+  // The created_at of the newest event merged from each relay, where its cursor moves once nothing failed before it
+  const newestMerged = new Map();
+  const eventRetryTimers = new Set();
+
+  // Keys changed locally but not yet published, persisted under DIRTY_KEY so
+  // unpublished changes survive a reload. Each key maps to the change counter
+  // value of its latest write so a publish only clears what it actually sent.
+  const DIRTY_KEY = '_nkvmeta_dirty';
+  const pendingKeys = new Map();
+  let changeCounter = 0;
+
+  // Our latest snapshot event ids, when it was published and how many deltas followed it, with their ids
+  const SNAPSHOT_KEY = '_nkvmeta_snapshot';
+  let snapshotState = { ids: [], at: 0, deltas: 0, deltaIds: [] };
+
+  // Set to republish every shard as a snapshot on the next publish
+  let fullPublishRequested = false;
+
+  // The shared key we rotated to and the public keys of the shared keys it replaced
+  const ROTATED_KEY = '_nkvmeta_rotatedKey';
+  let replacedKvPubkeys = [];
+
+  // Synced device registry, kept as hidden keys so it merges like any other data.
+  // Maps auth public key to { label, addedAt, revokedAt, expiresAt }. While it is empty
+  // every writer is accepted, once it has entries only active devices are. expiresAt is
+  // set for devices invited with an expiring invite until they confirm the registration.
+  const DEVICE_PREFIX = '_nkvsys_device:';
+  const deviceRegistry = new Map();
+  let confirmingDevice = false;
+
+  // Auth public keys of the devices we have received events from
+  const WRITERS_KEY = '_nkvmeta_writers';
+  const knownWriters = new Set();
+
+  // Auth public keys whose events were ignored because the registry didn't accept them
+  const IGNORED_WRITERS_KEY = '_nkvmeta_ignoredWriters';
+  const ignoredWriters = new Set();
+
+  // Closers of the current subscription to each relay
+  const relaySubscriptions = new Map();
+
+  // Resubscribes to relays that drop and on network changes, null with reconnect: false
+  let supervisor = null;
+
+  // Publish state reported by status(): idle, debouncing, publishing, retrying or failed,
+  // with its details. Status listeners are only called when the reported status changes.
+  let publishStatus = { state: 'idle' };
+  let reportedStatus = null;
+  const statusListeners = [];
+
+  /**
+   * Check whether an entry is a deletion tombstone
+   */
+  function isTombstone(entry) {
+    return !!(entry && entry.meta && entry.meta.deleted);
+  }
+
+  /**
+   * Check whether a key is internal metadata that is never synced or exposed
+   */
+  function isMetaKey(key) {
+    return key.startsWith('_nkvmeta');
+  }
+
+  /**
+   * Check whether a key is internal data that is synced but hidden from the user
+   */
+  function isSystemKey(key) {
+    return key.startsWith('_nkvsys');
+  }
+
+  /**
+   * Get the user visible value of a stored entry (undefined if missing or deleted)
+   */
+  function entryValue(entry) {
+    if (!entry || isTombstone(entry)) return undefined;
+    return isCrdt(entry.value) ? crdtValue(entry.value) : entry.value;
+  }
+
+  /**
+   * Build a stored entry for a value with its clock stamp
+   * lastModified is kept alongside the stamp for devices that don't know about stamps.
+   */
+  function makeEntry(value, stamp) {
+    return {
+      value,
+      meta: {
+        lastModified: parseStamp(stamp).time,
+        hlc: stamp
+      }
+    };
+  }
+
+  /**
+   * Build a tombstone recording that a key was deleted
+   */
+  function makeTombstone(stamp) {
+    return {
+      value: null,
+      meta: {
+        lastModified: parseStamp(stamp).time,
+        hlc: stamp,
+        deleted: true
+      }
+    };
+  }
+
+  /**
+   * Build the stored entry for an entry received from another device
+   * The stamp it replaced is kept so devices it is passed on to can still check it.
+   */
+  function receivedEntry(entry) {
+    const stamp = stampOf(entry);
+    const updated = entry.deleted ? makeTombstone(stamp) : makeEntry(entry.value, stamp);
+    if (entry.base) {
+      updated.meta.base = entry.base;
+    }
+    return updated;
+  }
+
+  /**
+   * Get the clock stamp of an entry's metadata, entries from older versions only have lastModified
+   */
+  function stampOf(meta) {
+    return meta.hlc || legacyStamp(meta.lastModified);
+  }
+
+  /**
+   * Check whether a remote stamp beats the local entry (last write wins)
+   */
+  function remoteWins(current, stamp) {
+    return !current || !current.meta || stampOf(current.meta) < stamp;
+  }
+
+  /**
+   * Find the resolver for a key, an exact match beats the longest matching prefix
+   */
+  function resolverFor(key) {
+    if (typeof resolvers[key] === 'function' && !key.endsWith('*')) return resolvers[key];
+    let match = null;
+    let matchLength = -1;
+    for (const [pattern, resolver] of Object.entries(resolvers)) {
+      if (!pattern.endsWith('*')) continue;
+      const prefix = pattern.slice(0, -1);
+      if (key.startsWith(prefix) && prefix.length > matchLength) {
+        match = resolver;
+        matchLength = prefix.length;
+      }
+    }
+    return match;
+  }
+
+  /**
+   * Check whether a remote entry and the local entry were both changed without seeing each other
+   * Local writes record the stamp they replaced as base, so a remote write made on top of
+   * ours has our stamp as its base, and one we had already seen is no later than our base.
+   * Equal values, or the other device's merge of the same writes as our merge, aren't a conflict.
+   */
+  function changedOnBothSides(current, entry, stamp) {
+    if (!current || !current.meta || !current.meta.local || stampOf(current.meta) === stamp) return false;
+    if (current.meta.mergedLocal && entry.base === current.meta.mergedLocal) return false;
+    if (isTombstone(current) ? entry.deleted : !entry.deleted && JSON.stringify(current.value) === JSON.stringify(entry.value)) {
+      return false;
+    }
+    return entry.base !== stampOf(current.meta) && stamp > (current.meta.base || '');
+  }
 
   /**
    * Encrypt data for storage on Nostr
    */
   async function encryptData(data) {
-    return await nip04.encrypt(kvSecretKey, kvPubkey, JSON.stringify(data));
+    const payload = encodePayload(data, { format, compress });
+    if (encryption === 'nip04') {
+      return await nip04.encrypt(kvSecretKey, kvPubkey, payload);
+    }
+    return nip44.encrypt(payload, conversationKey);
   }
 
   /**
@@ -124,14 +489,401 @@ function createStore({
    */
   async function decryptData(encryptedData) {
     try {
-      const decrypted = await nip04.decrypt(kvSecretKey, kvPubkey, encryptedData);
-      return JSON.parse(decrypted);
+      // NIP-04 content always carries an "?iv=" suffix, anything else is NIP-44
+      const decrypted = encryptedData.includes('?iv=') ?
+        await nip04.decrypt(kvSecretKey, kvPubkey, encryptedData) :
+        nip44.decrypt(encryptedData, conversationKey);
+      // Reads every payload version so devices can be upgraded gradually
+      return decodePayload(decrypted);
     } catch (error) {
       logError('Failed to decrypt  %O', error);
       return null;
     }
   }
 
+  /**
+   * Update the in-memory device registry when a device key is written
+   * A device whose events were ignored has them fetched again once the registry accepts it.
+   */
+  function trackDevice(key, entry) {
+    if (!key.startsWith(DEVICE_PREFIX)) return;
+    const pubkey = key.slice(DEVICE_PREFIX.length);
+    const device = entryValue(entry);
+    if (device) {
+      deviceRegistry.set(pubkey, device);
+      if (pubkey === authPubkey && device.expiresAt) {
+        confirmInvitedDevice(device);
+      }
+    } else {
+      deviceRegistry.delete(pubkey);
+    }
+    if (ignoredWriters.has(pubkey) && isAuthorizedWriter(pubkey)) {
+      refetchWriter(pubkey);
+    }
+  }
+
+  /**
+   * Confirm this device's registration from an expiring invite, so it stays valid once the invite expires
+   */
+  function confirmInvitedDevice(device) {
+    if (confirmingDevice || device.revokedAt || device.expiresAt <= Date.now()) return;
+    confirmingDevice = true;
+    log('Confirming the registration from our invite');
+    updateDevice(authPubkey, { expiresAt: null })
+      .catch(error => logError('Failed to confirm the registration from our invite: %O', error))
+      .then(() => {
+        confirmingDevice = false;
+      });
+  }
+
+  /**
+   * Check whether events from an auth public key should be applied
+   * Devices invited with an expiring invite are only accepted until it expires, unless they confirmed it.
+   */
+  function isAuthorizedWriter(pubkey) {
+    if (deviceRegistry.size === 0) return true;
+    const device = deviceRegistry.get(pubkey);
+    return !!device && !device.revokedAt && !(device.expiresAt && device.expiresAt <= Date.now());
+  }
+
+  /**
+   * Check whether the writer of received entries may change the registry
+   * Only active devices can, and before there is a registry only a device registering itself.
+   */
+  function mayChangeRegistry(pubkey, entries) {
+    if (deviceRegistry.size > 0) return isAuthorizedWriter(pubkey);
+    const own = entries[DEVICE_PREFIX + pubkey];
+    return !!own && !own.deleted && !!own.value && !own.value.revokedAt;
+  }
+
+  /**
+   * Add or update a device in the registry
+   * The first registration also registers this device, so it isn't locked out once the registry is in use.
+   */
+  async function updateDevice(pubkey, update) {
+    await initialized;
+    const now = Date.now();
+    const stamp = clock.now();
+    const changes = [];
+
+    if (deviceRegistry.size === 0 && pubkey !== authPubkey) {
+      changes.push([DEVICE_PREFIX + authPubkey, makeEntry({ label: null, addedAt: now, revokedAt: null }, stamp)]);
+    }
+
+    const current = deviceRegistry.get(pubkey) || { label: null, addedAt: now, revokedAt: null };
+    changes.push([DEVICE_PREFIX + pubkey, makeEntry(Object.assign({}, current, update), stamp)]);
+
+    await commitLocalChanges(changes);
+    changes.forEach(([key, entry]) => trackDevice(key, entry));
+  }
+
+  /**
+   * Replace generated keys with the ones saved by an earlier session, saving any that are new
+   */
+  async function usePersistedKeys() {
+    const generatedAuth = !signer && !authNsec;
+    const generatedKv = !kvNsec;
+    if (!generatedAuth && !generatedKv) return;
+
+    const saved = await loadKeys(localStore, PERSISTED_KEYS_KEY) || {};
+    if (generatedAuth && saved.auth) {
+      authSecretKey = saved.auth;
+      authPubkey = getPublicKey(authSecretKey);
+      createLoggers();
+    }
+    if (generatedKv && saved.kv) {
+      setKvKey(saved.kv);
+    }
+
+    if ((generatedAuth && !saved.auth) || (generatedKv && !saved.kv)) {
+      log('Saving generated keys');
+      await saveKeys(localStore, PERSISTED_KEYS_KEY, {
+        auth: generatedAuth ? authSecretKey : saved.auth,
+        kv: generatedKv ? kvSecretKey : saved.kv
+      }, { wrap: persistKeys === 'wrapped' });
+    }
+  }
+
+  /**
+   * The d tag of the migration pointer published when the given shared key is rotated away
+   */
+  function rotationTag(pubkey) {
+    return `${namespace}:rotation:${pubkey}`;
+  }
+
+  /**
+   * Start using a new shared key, remembering it so the store keeps using it after a reload
+   * Every shard is republished under the new key and the subscription is restarted for it.
+   */
+  async function switchKvKey(secretKey) {
+    replacedKvPubkeys = [...replacedKvPubkeys, kvPubkey];
+    setKvKey(secretKey);
+    log('Switched to shared key %s', kvPubkey);
+
+    if (localEncryption && !localPassphrase) {
+      const secrets = await localGet(LOCAL_SECRETS_KEY) || {};
+      secrets[kvPubkey] = nip44.encrypt(nip19.nsecEncode(localKeySecret), conversationKey);
+      await localSet(LOCAL_SECRETS_KEY, secrets);
+    }
+
+    await localSet(ROTATED_KEY, { nsec: nip19.nsecEncode(secretKey), replaces: replacedKvPubkeys });
+
+    // Our events under the old key are no longer read, so start over with a full snapshot
+    snapshotState = { ids: [], at: 0, deltas: 0, deltaIds: [] };
+    await localSet(SNAPSHOT_KEY, snapshotState);
+    fullPublishRequested = true;
+
+    subscribeToUpdates({ since: 0 });
+    scheduleSync();
+  }
+
+  /**
+   * Follow a migration pointer published by a device that rotated the shared key
+   */
+  async function processRotation(event) {
+    const pointer = JSON.parse(nip44.decrypt(event.content, conversationKey));
+    const wrappedKey = pointer.keys[authPubkey];
+    if (!wrappedKey) {
+      logError('Shared key was rotated by %s without including this device', event.pubkey);
+      return;
+    }
+
+    // The new key is encrypted from the rotating device's auth key to ours
+    if (!authSigner.nip44) {
+      logError('Shared key was rotated by %s but the signer does not support NIP-44', event.pubkey);
+      return;
+    }
+    const nsec = await authSigner.nip44.decrypt(event.pubkey, wrappedKey);
+    const secretKey = nip19.decode(nsec).data;
+    if (getPublicKey(secretKey) !== pointer.next) {
+      logError('Ignoring migration pointer with a mismatched key from %s', event.pubkey);
+      return;
+    }
+
+    log('Following shared key rotation by %s', event.pubkey);
+    await switchKvKey(secretKey);
+  }
+
+  /**
+   * Write entries locally and mark their keys as pending publication
+   */
+  async function writeLocalChanges(changes) {
+    // Remember which stamp each write replaced so concurrent remote writes can be told apart
+    const currentEntries = await localStore.getMany(changes.map(([key]) => key));
+    changes.forEach(([, entry], i) => {
+      const current = currentEntries[i];
+      entry.meta.local = true;
+      if (entry.meta.base === undefined && current && current.meta) {
+        entry.meta.base = stampOf(current.meta);
+      }
+    });
+    for (const [key] of changes) {
+      pendingKeys.set(key, ++changeCounter);
+    }
+    return localStore.setMany([...changes, [DIRTY_KEY, Array.from(pendingKeys.keys())]]);
+  }
+
+  /**
+   * Build the data structure to publish from stored entries
+   * Tombstones older than the retention window are left out and returned as expired.
+   */
+  function buildSnapshot(allEntries) {
+    const data = {};
+    const expired = [];
+    const purgeBefore = Date.now() - tombstoneRetention;
+
+    for (const [key, entry] of allEntries) {
+      // Skip internal meta keys
+      if (isMetaKey(key)) continue;
+
+      if (entry && entry.meta) {
+        if (isTombstone(entry)) {
+          // Old tombstones have had time to reach every device, so drop them
+          if (entry.meta.lastModified < purgeBefore) {
+            expired.push(key);
+            continue;
+          }
+          data[key] = {
+            value: null,
+            lastModified: entry.meta.lastModified,
+            hlc: stampOf(entry.meta),
+            deleted: true
+          };
+        } else {
+          data[key] = {
+            value: entry.value,
+            lastModified: entry.meta.lastModified,
+            hlc: stampOf(entry.meta)
+          };
+        }
+        if (entry.meta.base) {
+          data[key].base = entry.meta.base;
+        }
+      }
+    }
+
+    return { data, expired };
+  }
+
+  /**
+   * Split snapshot data into one data structure per shard d tag
+   */
+  function splitShards(data) {
+    const byTag = new Map(shardTags.map(tag => [tag, {}]));
+    for (const [key, entry] of Object.entries(data)) {
+      byTag.get(shardTagFor(key))[key] = entry;
+    }
+    return byTag;
+  }
+
+  /**
+   * Measure the size in bytes of the largest encrypted event, optionally with some changes applied
+   * Only the shards touched by the changes are measured when changes are given.
+   */
+  async function payloadSize(changes = []) {
+    const entries = new Map(await localStore.entries());
+    for (const [key, entry] of changes) {
+      entries.set(key, entry);
+    }
+    const { data } = buildSnapshot(entries);
+    const touched = new Set(changes.map(([key]) => shardTagFor(key)));
+
+    let largest = 0;
+    for (const [tag, shardData] of splitShards(data)) {
+      if (touched.size > 0 && !touched.has(tag)) continue;
+      const content = await encryptData(shardData);
+      largest = Math.max(largest, new TextEncoder().encode(content).length);
+    }
+    return largest;
+  }
+
+  // Local writes are applied one batch at a time so size checks see every earlier write
+  let writeQueue = Promise.resolve();
+
+  /**
+   * Write a batch of local changes and schedule a single publish for all of them
+   * Rejects with PayloadTooLargeError, without writing anything, if the batch would
+   * make the published payload larger than maxPayloadBytes.
+   * changes is an array of [key, entry] pairs, or a function returning one.
+   */
+  async function commitLocalChanges(changes) {
+    await assertUnlocked();
+    await initialized;
+
+    const write = writeQueue.then(async () => {
+      // Changes built from current values are made here, after every earlier write
+      if (typeof changes === 'function') {
+        changes = await changes();
+      }
+      if (changes.length === 0) return;
+      // Deletes only ever shrink the payload so they are always allowed
+      if (maxPayloadBytes > 0 && changes.some(([, entry]) => !isTombstone(entry))) {
+        const size = await payloadSize(changes);
+        if (size > maxPayloadBytes) {
+          throw new PayloadTooLargeError(size, maxPayloadBytes);
+        }
+      }
+      await writeLocalChanges(changes);
+    });
+    writeQueue = write.catch(() => {});
+
+    // A rejected or empty write changed nothing, so there is nothing to publish
+    write.then(() => changes.length > 0 && scheduleSync(), () => {});
+    return write;
+  }
+
+  /**
+   * Get the CRDT state stored under a key, or an empty state if it holds something else
+   */
+  async function readCrdt(key, type) {
+    const entry = await localGet(key);
+    return entry && !isTombstone(entry) && isCrdt(entry.value, type) ? entry.value : emptyCrdt(type);
+  }
+
+  /**
+   * Apply an operation to the CRDT state of a key as a local write
+   * @param {Function} update Called with (state, stamp), returns the new state
+   */
+  async function updateCrdt(key, type, update) {
+    return commitLocalChanges(async () => {
+      const stamp = clock.now();
+      return [[key, makeEntry(update(await readCrdt(key, type), stamp), stamp)]];
+    });
+  }
+
+  /**
+   * Notify listeners of a batch of changed keys once the whole batch has been stored
+   */
+  async function notifyChanges(keys) {
+    const changedKeys = keys.filter(key => !isSystemKey(key));
+    if (changedKeys.length === 0) return;
+
+    const entries = await localStore.getMany(changedKeys);
+    const changes = changedKeys.map((key, i) => ({ key, value: entryValue(entries[i]) }));
+
+    changes.forEach(({ key, value }) => {
+      changeListeners.slice().forEach(listener => {
+        log("telling listener", key, value);
+        listener(key, value);
+      });
+    });
+    batchListeners.slice().forEach(listener => listener(changes));
+  }
+
+  /**
+   * Get all user visible [key, value] entries, hiding meta keys, system keys and tombstones
+   */
+  async function liveEntries() {
+    await assertUnlocked();
+    const allEntries = await localStore.entries();
+    return allEntries
+      .filter(([key, entry]) => !isMetaKey(key) && !isSystemKey(key) && entry && !isTombstone(entry))
+      .map(([key, entry]) => [key, entryValue(entry)]);
+  }
+
+  /**
+   * Forget pending keys that were included in a successful publish
+   */
+  async function clearPublishedChanges(publishedUpTo) {
+    for (const [key, counter] of pendingKeys) {
+      if (counter <= publishedUpTo) {
+        pendingKeys.delete(key);
+      }
+    }
+    if (pendingKeys.size > 0) {
+      await localSet(DIRTY_KEY, Array.from(pendingKeys.keys()));
+    } else {
+      await localStore.del(DIRTY_KEY);
+    }
+  }
+
+  /**
+   * Describe the sync status, offline while the network is down, the publish state otherwise
+   */
+  function currentStatus() {
+    const offline = supervisor && !supervisor.isOnline();
+    return Object.assign({}, publishStatus, {
+      state: offline ? 'offline' : publishStatus.state,
+      pending: pendingKeys.size
+    });
+  }
+
+  /**
+   * Move to a new publish state (or keep the current one) and notify status listeners of any change
+   * @param {string} [state] New publish state
+   * @param {Object} [details] Details of the state, e.g. the retry attempt
+   */
+  function setStatus(state, details) {
+    if (state) {
+      publishStatus = Object.assign({ state }, details);
+    }
+    const status = currentStatus();
+    const serialized = JSON.stringify(status);
+    if (serialized === reportedStatus) return;
+    reportedStatus = serialized;
+    statusListeners.slice().forEach(listener => listener(status));
+  }
+
   /**
    * Schedule a sync with debounce
    */
@@ -154,232 +906,888 @@ function createStore({
       debounceTimer = null;
       await publishToNostr();
     }, debounce);
+    setStatus('debouncing');
   }
 
   /**
-   * Publish all data to Nostr relays using SimplePool
+   * Sign and publish an event, resolving with its id once a relay accepts it
    */
-  async function publishToNostr() {
-    // Get all entries from the store (except meta entries)
-    const allEntries = await idbEntries(customStore);
+  async function signAndPublish(kind, tags, content) {
+    // Convert to seconds and ensure it's newer than current time
+    const currentTime = Math.floor(Date.now() / 1000);
 
-    // Filter out meta entries and build our data structure
-    const data = {};
+    const eventTemplate = {
+      kind,
+      created_at: currentTime,
+      tags,
+      content
+    };
 
-    for (const [key, entry] of allEntries) {
-      // Skip internal meta keys
-      if (key.startsWith('_nkvmeta')) continue;
+    const signedEvent = await authSigner.signEvent(eventTemplate);
 
-      if (entry && entry.meta) {
-        data[key] = {
-          value: entry.value,
-          lastModified: entry.meta.lastModified
-        };
-      }
-    }
+    // Use SimplePool to publish to all relays
+    const publishPromise = pool.publish(relays, signedEvent);
 
-    log('Publishing to Nostr - Namespace: %s, AuthPubkey: %s', namespace, authPubkey);
-    log('Publishing %d entries', Object.keys(data).length);
-    log('Data structure being published: %O', data);
+    // Wait for at least one relay to accept the event
+    await Promise.any(publishPromise).catch(err => {
+      logError('All publish attempts failed: %O', err);
+      throw new Error('Failed to publish to any relay');
+    });
 
+    return signedEvent.id;
+  }
+
+  /**
+   * Encrypt data with the shared key and publish it tagged for the store's devices
+   */
+  async function publishEvent(kind, tags, data) {
     const encryptedContent = await encryptData(data);
+    return signAndPublish(kind, [...tags, ["p", kvPubkey]], encryptedContent);
+  }
 
-    // Convert to seconds and ensure it's newer than current time
-    const currentTime = Math.floor(Date.now() / 1000);
+  /**
+   * Publish one replaceable snapshot event for a shard
+   */
+  function publishSnapshot(dTag, data) {
+    return publishEvent(30078, [
+      ["d", dTag],
+      ["a", `30078:${authPubkey}:${dTag}`]
+    ], data);
+  }
 
-    const eventTemplate = {
-      kind: 30078,
-      created_at: currentTime,
-      tags: [
-        ["d", namespace],
-        ["a", `30078:${authPubkey}:${namespace}`],
-        ["p", kvPubkey]
-      ],
-      content: encryptedContent
-    };
+  /**
+   * Publish a regular delta event with just the changed entries, referencing our latest snapshot
+   */
+  function publishDelta(data) {
+    return publishEvent(DELTA_KIND, [
+      ["d", namespace],
+      ["a", `30078:${authPubkey}:${shardTags[0]}`],
+      ...snapshotState.ids.map(id => ["e", id])
+    ], data);
+  }
+
+  /**
+   * Pick the published entries of the given keys
+   */
+  function pickEntries(data, keys) {
+    const picked = {};
+    for (const key of keys) {
+      if (data[key]) picked[key] = data[key];
+    }
+    return picked;
+  }
+
+  /**
+   * Ask the relays to delete our deltas that a fresh snapshot replaces (NIP-09)
+   */
+  function retractDeltas(ids) {
+    return signAndPublish(5, [
+      ...ids.map(id => ["e", id]),
+      ["k", String(DELTA_KIND)]
+    ], '');
+  }
+
+  /**
+   * Publish all data to Nostr relays using SimplePool
+   * When sharding, only the shards containing changed keys are published.
+   * In incremental mode only the changed entries are published as a delta,
+   * until enough deltas or time have passed to compact into a fresh snapshot.
+   */
+  async function publishToNostr() {
+    await readyPromise;
+    setStatus('publishing');
+
+    // Everything written up to this point is included in the snapshot below
+    const publishedUpTo = changeCounter;
+    const changedKeys = Array.from(pendingKeys.keys());
+    const changedTags = new Set(changedKeys.map(shardTagFor));
+
+    // Get all entries from the store and build our data structure (except meta entries)
+    const allEntries = await localStore.entries();
+    const { data, expired } = buildSnapshot(allEntries);
 
-    const signedEvent = finalizeEvent(eventTemplate, authSecretKey);
+    if (expired.length > 0) {
+      log('Purging %d expired tombstones', expired.length);
+      await localStore.delMany(expired);
+    }
+
+    const fullPublish = fullPublishRequested;
+    const compactDue = fullPublish ||
+      !snapshotState.at ||
+      snapshotState.deltas >= compactAfter ||
+      Date.now() - snapshotState.at >= compactInterval;
+    const sendDelta = incremental && !compactDue && changedKeys.length > 0;
+
+    log('Publishing to Nostr - Namespace: %s, AuthPubkey: %s', namespace, authPubkey);
 
     try {
-      // Use SimplePool to publish to all relays
-      const publishPromise = pool.publish(relays, signedEvent);
+      if (sendDelta) {
+        const delta = pickEntries(data, changedKeys);
+        log('Publishing delta with %d entries: %O', Object.keys(delta).length, delta);
+        const deltaId = await publishDelta(delta);
+        snapshotState.deltas++;
+        snapshotState.deltaIds = (snapshotState.deltaIds || []).concat(deltaId);
+        await localSet(SNAPSHOT_KEY, snapshotState);
+      } else {
+        // A compaction republishes every shard, otherwise only the changed ones
+        const shardData = splitShards(data);
+        const tagsToPublish = shardCount > 1 && !incremental && !fullPublish ?
+          shardTags.filter(tag => changedTags.has(tag)) :
+          shardTags;
+
+        // Shard events can land partly, so changes spanning shards, e.g. from a transaction,
+        // go out together in a delta first and it is retracted once every shard is published
+        if (tagsToPublish.length > 1 && changedTags.size > 1) {
+          log('Publishing the %d changes spanning shards as one delta', changedKeys.length);
+          const deltaId = await publishDelta(pickEntries(data, changedKeys));
+          snapshotState.deltaIds = (snapshotState.deltaIds || []).concat(deltaId);
+          await localSet(SNAPSHOT_KEY, snapshotState);
+        }
 
-      // Wait for at least one relay to accept the event
-      await Promise.any(publishPromise).catch(err => {
-        logError('All publish attempts failed: %O', err);
-        throw new Error('Failed to publish to any relay');
-      });
+        log('Publishing %d entries in %d events', Object.keys(data).length, tagsToPublish.length);
+        log('Data structure being published: %O', data);
+        const ids = await Promise.all(tagsToPublish.map(tag => publishSnapshot(tag, shardData.get(tag))));
+
+        const replacedDeltas = snapshotState.deltaIds || [];
+        snapshotState = incremental ?
+          { ids, at: Date.now(), deltas: 0, deltaIds: [] } :
+          Object.assign({}, snapshotState, { deltaIds: [] });
+        await localSet(SNAPSHOT_KEY, snapshotState);
+
+        // Deltas left on a relay are only extra events to fetch, so failing to retract them isn't an error
+        if (replacedDeltas.length > 0) {
+          await retractDeltas(replacedDeltas).catch(error => logError('Failed to retract replaced deltas: %O', error));
+        }
+        if (fullPublish) {
+          fullPublishRequested = false;
+        }
+      }
 
       log('Published successfully to at least one relay');
 
       // Reset retry count on success
       publishRetryCount = 0;
 
+      await clearPublishedChanges(publishedUpTo);
+      // Changes made during the publish are waiting for the next one
+      setStatus(debounceTimer ? 'debouncing' : 'idle');
+
       // Resolve the sync promise with success=true
       if (syncResolve) {
         syncResolve(true);
         syncPromise = null;
         syncResolve = null;
       }
-    } catch (error) {
-      logError('Error in publish process: %O', error);
+    } catch (error) {
+      logError('Error in publish process: %O', error);
+
+      // Implement exponential backoff for retries
+      publishRetryCount++;
+
+      // Check if we should retry (either retry forever or under max count)
+      const shouldRetry = maxRetryCount === 0 || publishRetryCount < maxRetryCount;
+
+      if (shouldRetry) {
+        // Calculate delay with exponential backoff, capped at maxRetryDelay
+        const retryDelay = Math.min(
+          BASE_RETRY_DELAY * Math.pow(2, publishRetryCount - 1),
+          maxRetryDelay
+        );
+
+        logError(`Scheduling retry #${publishRetryCount} in ${retryDelay}ms`);
+        setStatus('retrying', {
+          attempt: publishRetryCount,
+          delay: retryDelay,
+          retryAt: Date.now() + retryDelay,
+          error: error.message
+        });
+
+        // Schedule retry
+        retryTimer = setTimeout(() => {
+          retryTimer = null;
+          publishToNostr();
+        }, retryDelay);
+      } else {
+        logError(`Max retry attempts (${maxRetryCount}) reached. Giving up.`);
+        setStatus('failed', { attempt: publishRetryCount, error: error.message });
+        publishRetryCount = 0;
+
+        // Resolve the sync promise with success=false
+        if (syncResolve) {
+          syncResolve(false);
+          syncPromise = null;
+          syncResolve = null;
+        }
+      }
+    }
+  }
+
+  /**
+   * Metadata of an entry as shown to resolvers and conflict listeners
+   */
+  function describeMeta(meta) {
+    return { lastModified: meta.lastModified, hlc: stampOf(meta), deleted: !!meta.deleted };
+  }
+
+  /**
+   * Tell conflict listeners about conflicts found in a received event
+   * Conflicts where both sides hold the same value lost nothing and are left out.
+   */
+  async function notifyConflicts(conflicts, writer) {
+    if (conflictListeners.length === 0) return;
+    for (const { key, current, entry, winner } of conflicts) {
+      const id = `${key}:${stampOf(current.meta)}:${stampOf(entry)}`;
+      if (isSystemKey(key) || reportedConflicts.has(id)) continue;
+      reportedConflicts.add(id);
+      if (reportedConflicts.size > MAX_REPORTED_CONFLICTS) {
+        reportedConflicts.delete(reportedConflicts.values().next().value);
+      }
+      const local = entryValue(current);
+      const remote = entryValue(receivedEntry(entry));
+      if (JSON.stringify(local) === JSON.stringify(remote)) continue;
+
+      const conflict = {
+        key,
+        local: { value: local, meta: describeMeta(current.meta) },
+        remote: { value: remote, meta: describeMeta(entry) },
+        writer,
+        winner
+      };
+      if (winner === 'merged') {
+        conflict.merged = entryValue(await localGet(key));
+      }
+      conflictListeners.slice().forEach(listener => listener(conflict));
+    }
+  }
+
+  /**
+   * Merge a key changed both here and on another device with its resolver
+   * @returns {Promise<boolean>} false if the resolver failed and last write wins should decide
+   */
+  async function resolveConflict(resolver, key, current, entry, writer) {
+    const remote = entry.deleted ? undefined : entry.value;
+    let merged;
+    try {
+      merged = await resolver(entryValue(current), remote, {
+        key,
+        writer,
+        local: describeMeta(current.meta),
+        remote: describeMeta(entry)
+      });
+    } catch (error) {
+      logError('Resolver for %s failed, using last write wins: %O', key, error);
+      return false;
+    }
+
+    log('Resolved conflict for %s: %O', key, merged);
+    await storeMerged(key, current, entry, merged, (a, b) => JSON.stringify(a) === JSON.stringify(b));
+    return true;
+  }
+
+  /**
+   * Store the result of merging a received entry into the local one
+   * A merge equal to the remote value is stored as received, anything else is a new local
+   * write stamped after both sides and published so the other devices converge on it.
+   */
+  async function storeMerged(key, current, entry, merged, same) {
+    if (same(merged, entry.deleted ? undefined : entry.value)) {
+      const updated = receivedEntry(entry);
+      await localSet(key, updated);
+      trackDevice(key, updated);
+      return;
+    }
+
+    const mergedStamp = clock.now();
+    const updated = merged === undefined ? makeTombstone(mergedStamp) : makeEntry(merged, mergedStamp);
+    // Based on the remote write, so the device that made it takes ours as a plain update
+    updated.meta.base = stampOf(entry);
+    // Kept locally to recognize the other device's merge of the same two writes
+    updated.meta.mergedLocal = stampOf(current.meta);
+    await writeLocalChanges([[key, updated]]);
+    trackDevice(key, updated);
+    scheduleSync();
+  }
+
+  /**
+   * Apply a received event to local storage (last write wins per key) and notify listeners
+   * @param {Object} event Received event
+   * @param {Object} [options] Processing options
+   * @param {boolean} [options.registryOnly] Only apply the registry entries
+   * @returns {Promise<string[]|null>} Keys that changed, null if merging failed
+   */
+  async function processEvent(event, { registryOnly = false } = {}) {
+    // Track which keys have changed and which conflicted for notifications
+    const changedKeys = [];
+    const conflicts = [];
+    let failed = false;
+
+    try {
+      // Double-check the namespace (for extra safety)
+      const dTag = event.tags.find(tag => tag[0] === 'd');
+
+      if (!isAuthorizedWriter(event.pubkey)) {
+        log('Ignoring event from unknown or revoked device %s', event.pubkey);
+        return changedKeys;
+      }
+
+      if (dTag && dTag[1] === rotationTag(kvPubkey)) {
+        if (!registryOnly) await processRotation(event);
+        return changedKeys;
+      }
+      if (!dTag || !subscribedTags.includes(dTag[1])) return changedKeys;
+
+      log('Received %s from pubkey: %s', event.kind === DELTA_KIND ? 'delta' : 'snapshot', event.pubkey);
+      log('Event created_at: %s', new Date(event.created_at * 1000).toISOString());
+      log('Event tags: %O', event.tags);
+
+      const decrypted = await decryptData(event.content);
+      if (!decrypted) {
+        logError('Failed to decrypt event or invalid format: %O', decrypted);
+        return changedKeys;
+      }
+
+      // Remember who writes to the store so a key rotation can include them
+      if (!knownWriters.has(event.pubkey)) {
+        knownWriters.add(event.pubkey);
+        await localSet(WRITERS_KEY, Array.from(knownWriters));
+      }
+
+      log('Received %d entries', Object.keys(decrypted).length);
+      log('Decrypted data structure: %O', decrypted);
+      const changesRegistry = mayChangeRegistry(event.pubkey, decrypted);
+
+      // Update local storage with remote changes
+      for (const [key, entry] of Object.entries(decrypted)) {
+        // Skip internal meta keys
+        if (isMetaKey(key)) continue;
+
+        if (key.startsWith(DEVICE_PREFIX) ? !changesRegistry : registryOnly) {
+          if (!registryOnly) log('Ignoring registry change to %s from %s', key, event.pubkey);
+          continue;
+        }
+
+        const stamp = stampOf(entry);
+
+        // Our next writes are stamped after everything we have seen, whatever our clock says
+        clock.receive(stamp);
+
+        log('Getting current for key:', key);
+        // Get current value to check its stamp
+        const current = await localGet(key);
+
+        log('Got current for key ', key, "=", current);
+        log('Entry received for key ', key, "=", entry);
+        log('Has meta?', current && current.meta);
+        log('Stamps', current && current.meta && stampOf(current.meta), stamp);
+
+        // CRDT values are always merged, whichever side changed
+        if (current && !isTombstone(current) && !entry.deleted && isCrdt(current.value) && isCrdt(entry.value)) {
+          const merged = mergeCrdt(current.value, entry.value);
+          if (merged && !sameCrdt(merged, current.value)) {
+            await storeMerged(key, current, entry, merged, sameCrdt);
+            changedKeys.push(key);
+          }
+          if (merged) continue;
+        }
+
+        const concurrent = changedOnBothSides(current, entry, stamp);
+        const resolver = resolverFor(key);
+        if (resolver && concurrent && await resolveConflict(resolver, key, current, entry, event.pubkey)) {
+          changedKeys.push(key);
+          conflicts.push({ key, current, entry, winner: 'merged' });
+          continue;
+        }
+
+        const remoteIsNewer = remoteWins(current, stamp);
+        if (concurrent) {
+          conflicts.push({ key, current, entry, winner: remoteIsNewer ? 'remote' : 'local' });
+        }
+
+        // If we have no local value or remote is newer, update
+        if (remoteIsNewer) {
+
+          // Handle deletion by keeping a tombstone so the delete can win later merges
+          const updated = receivedEntry(entry);
+          log("LOCAL UPDATE");
+          await localSet(key, updated);
+          trackDevice(key, updated);
+
+          // Add to changed keys list
+          changedKeys.push(key);
+        }
+      }
+
+      log("changedKeys", changedKeys);
+
+      // Notify listeners of all changes at once
+      await notifyChanges(changedKeys);
+      await notifyConflicts(conflicts, event.pubkey);
+    } catch (error) {
+      logError('Error processing remote event: %O', error);
+      failed = true;
+    }
+    if (receiveResolve) {
+      receiveResolve();
+      receiveResolve = null;
+    }
+    return failed ? null : changedKeys;
+  }
+
+  // Received events are processed one at a time, in order
+  let eventQueue = Promise.resolve();
+
+  // Events received before the stored events from every relay are in, merged together once
+  // they are so the registry is known before any data is applied
+  let heldEvents = [];
+
+  /**
+   * Queue events received from a relay for processing
+   * The relay's cursor only moves past an event once it has been merged.
+   */
+  function enqueueEvents(events, relay) {
+    if (heldEvents) {
+      events.forEach(event => heldEvents.push({ event, relay }));
+      return;
+    }
+    events.forEach(event => {
+      eventQueue = eventQueue.then(() => mergeEvent(event, relay));
+    });
+  }
+
+  /**
+   * Merge the events held back until the stored events from every relay were in
+   * The registry entries are merged first, oldest first, so a revoked device can't reinstate
+   * itself through a relay that answers before the others, and data is only applied from
+   * writers the merged registry accepts.
+   */
+  function mergeHeldEvents() {
+    const held = heldEvents;
+    heldEvents = null;
+    held.sort((a, b) => compareStoredEvents(a.event, b.event));
+    log('Merging %d events held until the stored events were in', held.length);
+
+    eventQueue = eventQueue.then(async () => {
+      for (const { event } of held) {
+        await processEvent(event, { registryOnly: true });
+      }
+    });
+    held.forEach(({ event, relay }) => enqueueEvents([event], relay));
+    return eventQueue;
+  }
+
+  /**
+   * Merge an event received from a relay and move the relay's cursor past it
+   * Events from writers the registry doesn't accept are left unmerged, they are fetched
+   * again if the writer is added later.
+   */
+  async function mergeEvent(event, relay) {
+    if (!isAuthorizedWriter(event.pubkey)) {
+      log('Ignoring event from unknown or revoked device %s', event.pubkey);
+      if (!ignoredWriters.has(event.pubkey)) {
+        ignoredWriters.add(event.pubkey);
+        await localSet(IGNORED_WRITERS_KEY, Array.from(ignoredWriters));
+      }
+      if (failedEvents.has(relay) && failedEvents.get(relay).delete(event.id)) {
+        await updateCursor(relay);
+      }
+      return;
+    }
+    if (!mergedEventIds.has(event.id)) {
+      if (!(await processEvent(event))) {
+        return retryEvent(event, relay);
+      }
+      mergedEventIds.add(event.id);
+      if (mergedEventIds.size > MAX_MERGED_EVENT_IDS) {
+        mergedEventIds.delete(mergedEventIds.values().next().value);
+      }
+    }
+    if (failedEvents.has(relay)) {
+      failedEvents.get(relay).delete(event.id);
+    }
+    await advanceCursor(relay, event.created_at);
+  }
+
+  /**
+   * Hold a relay's cursor before an event that failed to merge and try it again later
+   * After MAX_EVENT_ATTEMPTS failures the event is skipped, e.g. one that can't be decrypted.
+   */
+  async function retryEvent(event, relay) {
+    if (!failedEvents.has(relay)) {
+      failedEvents.set(relay, new Map());
+    }
+    const failed = failedEvents.get(relay);
+    const attempts = (failed.has(event.id) ? failed.get(event.id).attempts : 0) + 1;
+    if (attempts > MAX_EVENT_ATTEMPTS) {
+      logError('Skipping event %s from %s after %d failed attempts', event.id, relay, MAX_EVENT_ATTEMPTS);
+      failed.delete(event.id);
+      return advanceCursor(relay, event.created_at);
+    }
+
+    failed.set(event.id, { createdAt: event.created_at, attempts });
+    await updateCursor(relay);
+    const delay = BASE_RETRY_DELAY * attempts;
+    logError('Event %s from %s failed to merge, trying again in %dms', event.id, relay, delay);
+    const timer = setTimeout(() => {
+      eventRetryTimers.delete(timer);
+      enqueueEvents([event], relay);
+    }, delay);
+    eventRetryTimers.add(timer);
+  }
+
+  /**
+   * Fetch every event from a writer whose events were ignored and merge them, once the registry accepts it
+   * The writer is only forgotten once its events are merged, so a failed fetch is tried again on the next start.
+   */
+  function refetchWriter(pubkey) {
+    ignoredWriters.delete(pubkey);
+    const filter = Object.assign(eventFilter(0), { authors: [pubkey] });
+    pool.querySync(relays, filter, { maxWait: readyTimeout })
+      .then(events => {
+        log('Fetched %d events from newly authorized device %s', events.length, pubkey);
+        sortStoredEvents(events).forEach(event => {
+          eventQueue = eventQueue.then(() => processEvent(event));
+        });
+        eventQueue = eventQueue.then(() => localSet(IGNORED_WRITERS_KEY, Array.from(ignoredWriters)));
+        return eventQueue;
+      })
+      .catch(error => {
+        logError('Failed to fetch events from %s: %O', pubkey, error);
+        ignoredWriters.add(pubkey);
+      });
+  }
+
+  /**
+   * Move a relay's cursor forward to the created_at of an event merged from it
+   */
+  async function advanceCursor(relay, createdAt) {
+    newestMerged.set(relay, Math.max(newestMerged.get(relay) || 0, createdAt));
+    await updateCursor(relay);
+  }
+
+  /**
+   * Set a relay's cursor to the newest event merged from it, or back to the oldest event from it
+   * that failed to merge, which may have arrived after newer ones
+   */
+  async function updateCursor(relay) {
+    const current = cursors.get(relay) || 0;
+    let cursor = Math.max(newestMerged.get(relay) || 0, current);
+    if (failedEvents.has(relay)) {
+      failedEvents.get(relay).forEach(failed => {
+        cursor = Math.min(cursor, failed.createdAt);
+      });
+    }
+    if (cursor === current) return;
+    cursors.set(relay, cursor);
+    await localSet(CURSOR_PREFIX + relay, cursor);
+  }
+
+  /**
+   * Time in seconds to ask a relay for events since, a little before its cursor to also catch
+   * events that reached it late, e.g. from a device with a slow clock
+   */
+  function relaySince(relay) {
+    const cursor = cursors.get(relay) || 0;
+    return cursor > 0 ? Math.max(1, cursor - CURSOR_OVERLAP) : 0;
+  }
+
+  /**
+   * Filter for our events on the relays, optionally only those since a time in seconds
+   */
+  function eventFilter(since) {
+    const filter = {
+      kinds: [30078, DELTA_KIND],
+      "#p": [kvPubkey],
+      "#d": [...subscribedTags, rotationTag(kvPubkey)]
+    };
+
+    // Only add 'since' if we have a valid last sync time
+    if (since > 0) {
+      filter.since = since;
+    }
+    return filter;
+  }
+
+  /**
+   * Sort stored events oldest first, with each snapshot ahead of deltas from the same second
+   */
+  function sortStoredEvents(events) {
+    return events.sort(compareStoredEvents);
+  }
+
+  function compareStoredEvents(a, b) {
+    return a.created_at - b.created_at || (a.kind === DELTA_KIND) - (b.kind === DELTA_KIND);
+  }
+
+  /**
+   * Subscribe to updates from other clients using SimplePool
+   * Each relay gets its own subscription starting from its own cursor. Stored events
+   * received before EOSE are applied oldest first with each snapshot ahead of deltas
+   * from the same second, later events as they arrive.
+   * @param {Object} [options] Subscription options
+   * @param {number} [options.since] Override the cursors for every relay (0 fetches everything)
+   * @param {Function} [options.onStored] Called once the stored events from every relay have been applied
+   */
+  function subscribeToUpdates({ since, onStored } = {}) {
+    let waitingRelays = relays.length;
+    const relayStored = () => {
+      if (--waitingRelays === 0 && onStored) {
+        eventQueue.then(onStored);
+      }
+    };
+
+    relays.forEach(relay => {
+      subscribeToRelay(relay, since === undefined ? relaySince(relay) : since, relayStored);
+    });
+    if (relays.length === 0 && onStored) {
+      onStored();
+    }
+  }
+
+  /**
+   * Subscribe to one relay, replacing any current subscription to it
+   * A subscription the relay closes, e.g. when the connection drops, is reported to the supervisor.
+   */
+  function subscribeToRelay(relay, since, onStored) {
+    const previous = relaySubscriptions.get(relay);
+    if (previous) {
+      previous.close();
+    }
+
+    let storedEvents = [];
+    let closed = false;
+    const closer = pool.subscribeMany([relay], eventFilter(since), {
+      onevent(event) {
+        // Skip our own events
+        if (event.pubkey === authPubkey) return;
+
+        if (storedEvents) {
+          storedEvents.push(event);
+        } else {
+          enqueueEvents([event], relay);
+        }
+      },
+      oneose() {
+        const events = storedEvents || [];
+        storedEvents = null;
+        sortStoredEvents(events);
+        log('Applying %d stored events from %s', events.length, relay);
+        enqueueEvents(events, relay);
+        if (onStored) onStored();
+
+        // A failed connection also ends up here, straight before onclose, so only count
+        // the relay as connected if the subscription is still open afterwards
+        Promise.resolve().then(() => {
+          if (!closed && supervisor) supervisor.connected(relay);
+        });
+      },
+      onclose(reasons) {
+        if (closed) return;
+        closed = true;
+        log('Subscription to %s closed: %O', relay, reasons);
+        if (relaySubscriptions.get(relay) === subscription) {
+          relaySubscriptions.delete(relay);
+        }
+        if (supervisor) supervisor.dropped(relay);
+      }
+    });
 
-      // Implement exponential backoff for retries
-      publishRetryCount++;
+    const subscription = {
+      close() {
+        closed = true;
+        closer.close();
+      }
+    };
+    relaySubscriptions.set(relay, subscription);
+  }
 
-      // Check if we should retry (either retry forever or under max count)
-      const shouldRetry = maxRetryCount === 0 || publishRetryCount < maxRetryCount;
+  /**
+   * Close the subscriptions to every relay
+   */
+  function closeSubscriptions() {
+    relaySubscriptions.forEach(subscription => subscription.close());
+    relaySubscriptions.clear();
+  }
 
-      if (shouldRetry) {
-        // Calculate delay with exponential backoff, capped at maxRetryDelay
-        const retryDelay = Math.min(
-          BASE_RETRY_DELAY * Math.pow(2, publishRetryCount - 1),
-          maxRetryDelay
-        );
+  /**
+   * Publish pending changes now, e.g. once the network is back, instead of waiting for a retry
+   */
+  function flushPendingChanges() {
+    if (pendingKeys.size === 0) return;
+    if (retryTimer) {
+      clearTimeout(retryTimer);
+      retryTimer = null;
+      publishToNostr();
+    } else if (!syncPromise) {
+      scheduleSync();
+    }
+  }
 
-        logError(`Scheduling retry #${publishRetryCount} in ${retryDelay}ms`);
+  // Initialize by loading the last sync time and pending changes, then start subscription
+  // The shared key the local encryption key is derived from, before any rotation
+  let localKeySecret = null;
+
+  // Resolves once the stored events from the relays have been merged, publishing waits
+  // for it so edits made right after startup can't overwrite newer remote changes
+  let readyTimer = null;
+  let resolveReady;
+  const readyPromise = new Promise(resolve => {
+    resolveReady = resolve;
+  });
+
+  function markReady() {
+    clearTimeout(readyTimer);
+    if (!heldEvents) return;
+    mergeHeldEvents()
+      .catch(error => logError('Error merging stored events: %O', error))
+      .then(resolveReady);
+  }
 
-        // Schedule retry
-        setTimeout(publishToNostr, retryDelay);
-      } else {
-        logError(`Max retry attempts (${maxRetryCount}) reached. Giving up.`);
-        publishRetryCount = 0;
+  // Settle the keys first, local storage can only be read once it is unlocked
+  const keysReady = (async function loadLocalKeys() {
+    if (persistKeys) {
+      await usePersistedKeys();
+    }
 
-        // Resolve the sync promise with success=false
-        if (syncResolve) {
-          syncResolve(false);
-          syncPromise = null;
-          syncResolve = null;
-        }
+    if (localEncryption) {
+      const secrets = await localGet(LOCAL_SECRETS_KEY) || {};
+      localKeySecret = secrets[kvPubkey] ?
+        nip19.decode(nip44.decrypt(secrets[kvPubkey], conversationKey)).data :
+        kvSecretKey;
+      if (typeof localPassphrase === 'string') {
+        await localEncryption.unlock(localPassphrase);
+      } else if (!localPassphrase) {
+        await localEncryption.unlock(localKeySecret);
       }
     }
-  }
+  })();
 
   /**
-   * Subscribe to updates from other clients using SimplePool
+   * Wait for the stored events from the relays to be merged
    */
-  async function subscribeToUpdates() {
-    // Create filter with 'since' parameter if we have a last sync time
-    const filter = {
-      kinds: [30078],
-      "#p": [kvPubkey],
-      "#d": [namespace]
-    };
+  async function whenReady() {
+    await initialized;
+    await readyPromise;
+  }
 
-    // Only add 'since' if we have a valid last sync time
-    if (lastSyncTime > 0) {
-      filter.since = lastSyncTime;
+  /**
+   * Reject reads and writes made through the API while local encryption is locked
+   */
+  async function assertUnlocked() {
+    if (!localEncryption) return;
+    await keysReady;
+    if (localEncryption.isLocked()) {
+      throw new StoreLockedError();
     }
+  }
 
-    // Subscribe to all relays at once using SimplePool
-    pool.subscribeMany(relays, [filter], {
-      onevent: async (event) => {
-        // Skip our own events
-        if (event.pubkey === authPubkey) return;
+  /**
+   * Check a read made through the API can go ahead, waiting for ready() with waitForReady
+   */
+  async function beforeRead() {
+    await assertUnlocked();
+    if (waitForReady) {
+      await whenReady();
+    }
+  }
 
-        try {
-          // Double-check the namespace (for extra safety)
-          const dTag = event.tags.find(tag => tag[0] === 'd');
-          if (!dTag || dTag[1] !== namespace) return;
+  /**
+   * Stamp a local write, once the clock has caught up with the stored entries
+   */
+  async function nextStamp() {
+    await assertUnlocked();
+    await initialized;
+    return clock.now();
+  }
 
-          log('Received event from pubkey: %s', event.pubkey);
-          log('Event created_at: %s', new Date(event.created_at * 1000).toISOString());
-          log('Event tags: %O', event.tags);
+  const initialized = (async function initialize() {
+    await keysReady;
 
-          // Update last sync time to this event's created_at
-          if (event.created_at > lastSyncTime) {
-            lastSyncTime = event.created_at;
-            // Store the last sync time in IndexedDB but don't sync it
-            await localSet(LAST_SYNC_KEY, Date.now());
-          }
+    authSigner = await (signer || createSecretKeySigner(authSecretKey));
+    if (typeof authSigner.getPublicKey !== 'function' || typeof authSigner.signEvent !== 'function') {
+      throw new Error('Signer must implement getPublicKey() and signEvent()');
+    }
+    if (!authPubkey) {
+      authPubkey = await authSigner.getPublicKey();
+      createLoggers();
+    }
 
-          const decrypted = await decryptData(event.content);
-          if (!decrypted) {
-            logError('Failed to decrypt event or invalid format: %O', decrypted);
-            return;
-          }
+    nodeId = await localGet(DEVICE_ID_KEY);
+    if (!nodeId) {
+      nodeId = Array.from(generateSecretKey().slice(0, 8), byte => byte.toString(16).padStart(2, '0')).join('');
+      await localSet(DEVICE_ID_KEY, nodeId);
+    }
+    clock = createClock(nodeId);
 
-          log('Received %d entries', Object.keys(decrypted).length);
-          log('Decrypted data structure: %O', decrypted);
-
-          // Track which keys have changed for notifications
-          const changedKeys = [];
-
-          // Update local storage with remote changes
-          for (const [key, entry] of Object.entries(decrypted)) {
-            // Skip internal meta keys
-            if (key.startsWith('_nkvmeta')) continue;
-
-            const value = entry.value;
-            const timestamp = entry.lastModified;
-
-            log('Getting current for key:', key);
-            // Get current value to check timestamp
-            const current = await localGet(key);
-
-            log('Got current for key ', key, "=", current);
-            log('Entry received for key ', key, "=", entry);
-            log('Has meta?', current && current.meta);
-            log('lastModified', current && current.meta && current.meta.lastModified, timestamp);
-            log('Is later?', current && current.meta && current.meta.lastModified < timestamp);
-
-            // If we have no local value or remote is newer, update
-            if (!current || !current.meta ||
-                current.meta.lastModified < timestamp) {
-
-              if (value === null) {
-                // Handle deletion
-                await localDel(key);
-              } else {
-                log("LOCAL UPDATE");
-                // Handle update
-                await localSet(key, {
-                  value,
-                  meta: {
-                    lastModified: timestamp
-                  }
-                });
-              }
-
-              // Add to changed keys list
-              changedKeys.push(key);
-            }
-          }
+    const savedCursors = await localStore.getMany(relays.map(relay => CURSOR_PREFIX + relay));
+    relays.forEach((relay, i) => {
+      if (savedCursors[i]) cursors.set(relay, savedCursors[i]);
+    });
+    log('Loaded sync cursors: %O', cursors);
+    // The old shared last sync time was stored in the wrong unit, fetch everything once instead
+    await localStore.del(LAST_SYNC_KEY);
+
+    snapshotState = await localGet(SNAPSHOT_KEY) || snapshotState;
+
+    // Keep using the key we rotated to, unless the store was opened with an unrelated key
+    const rotated = await localGet(ROTATED_KEY);
+    if (rotated && rotated.replaces.includes(kvPubkey)) {
+      replacedKvPubkeys = rotated.replaces;
+      setKvKey(nip19.decode(rotated.nsec).data);
+      log('Using rotated shared key %s', kvPubkey);
+    }
 
-          log("changedKeys", changedKeys);
+    for (const writer of await localGet(WRITERS_KEY) || []) {
+      knownWriters.add(writer);
+    }
 
-          // Notify listeners of all changes at once
-          if (changedKeys.length > 0) {
-            for (const key of changedKeys) {
-              const entry = await localGet(key);
-              const value = entry ? entry.value : null;
+    for (const writer of await localGet(IGNORED_WRITERS_KEY) || []) {
+      ignoredWriters.add(writer);
+    }
 
-              // Notify listeners
-              changeListeners.forEach(listener => {
-                log("telling listener", key, value);
-                listener(key, value);
-              });
-            }
-          }
-        } catch (error) {
-          logError('Error processing remote event: %O', error);
-        }
-        if (receiveResolve) {
-          receiveResolve();
-          receiveResolve = null;
-        }
+    for (const [key, entry] of await localStore.entries()) {
+      trackDevice(key, entry);
+      // Continue the clock from the latest stamp we wrote or received before
+      if (!isMetaKey(key) && entry && entry.meta) {
+        clock.receive(stampOf(entry.meta));
       }
-    });
-  }
+    }
+
+    const dirtyKeys = await localGet(DIRTY_KEY) || [];
+    for (const key of dirtyKeys) {
+      pendingKeys.set(key, ++changeCounter);
+    }
+
+    // Start subscription, we are ready once every relay has sent its stored events or after readyTimeout
+    readyTimer = setTimeout(() => {
+      log('Not every relay sent its stored events within %dms, continuing without them', readyTimeout);
+      markReady();
+    }, readyTimeout);
+    if (reconnect) {
+      supervisor = createSupervisor({
+        environment: environment || defaultEnvironment(),
+        reconnect: relay => subscribeToRelay(relay, relaySince(relay)),
+        resume: () => {
+          setStatus();
+          subscribeToUpdates();
+          flushPendingChanges();
+        },
+        suspend: () => setStatus(),
+        maxDelay: maxRetryDelay,
+        log
+      });
+    }
+    subscribeToUpdates({ onStored: markReady });
 
-  // Initialize by loading the last sync and publish times, then start subscription
-  (async function initialize() {
-    lastSyncTime = await localGet(LAST_SYNC_KEY) || 0;
-    log('Loaded last sync time: %s', new Date(lastSyncTime * 1000).toISOString());
-    // Start subscription
-    subscribeToUpdates();
+    // Resume publishing changes that were not published before the last shutdown
+    if (pendingKeys.size > 0) {
+      log('Resuming publish of %d pending changes', pendingKeys.size);
+      scheduleSync();
+    }
   })();
 
+  // Failures are reported to callers awaiting initialization, e.g. an invalid signer
+  initialized.catch(error => logError('Initialization failed: %O', error));
+
   return {
     /**
      * Get a value from the store
@@ -387,60 +1795,221 @@ function createStore({
      * @returns {Promise<*>} The value or undefined if not found
      */
     async get(key) {
+      await beforeRead();
       // Get the entry with metadata
       const entry = await localGet(key);
       // Return only the value to the user, hiding the metadata implementation detail
-      return entry ? entry.value : undefined;
+      return entryValue(entry);
+    },
+
+    /**
+     * Get several values from the store
+     * @param {string[]} keys The keys to retrieve
+     * @returns {Promise<Array>} The values in the same order as keys (undefined where not found)
+     */
+    async getMany(keys) {
+      await beforeRead();
+      const entries = await localStore.getMany(keys);
+      return entries.map(entryValue);
+    },
+
+    /**
+     * List the keys in the store (the store's cryptographic keys are returned by keys())
+     * @returns {Promise<string[]>} All keys that currently have a value
+     */
+    async listKeys() {
+      await beforeRead();
+      const entries = await liveEntries();
+      return entries.map(([key]) => key);
+    },
+
+    /**
+     * Get all entries in the store
+     * @returns {Promise<Array>} Array of [key, value] pairs
+     */
+    async entries() {
+      await beforeRead();
+      return liveEntries();
     },
 
     /**
      * Set a value in the store
      * @param {string} key The key to set
      * @param {*} value The value to store
-     * @returns {Promise<void>}
+     * @returns {Promise<void>} Rejects with PayloadTooLargeError if the payload would exceed maxPayloadBytes
      */
     async set(key, value) {
-      const entry = {
-        value,
-        meta: {
-          lastModified: Date.now()
-        }
-      };
+      const entry = makeEntry(value, await nextStamp());
 
       log("set", key, "to", entry);
-      // Store the value with metadata
-      const setp = localSet(key, entry);
+      // Store the value with metadata and schedule a sync
+      return commitLocalChanges([[key, entry]]);
+    },
+
+    /**
+     * Set several values in the store with a single publish
+     * @param {Array} entries Array of [key, value] pairs
+     * @returns {Promise<void>} Rejects with PayloadTooLargeError if the payload would exceed maxPayloadBytes
+     */
+    async setMany(entries) {
+      const stamp = await nextStamp();
+      const changes = entries.map(([key, value]) => [key, makeEntry(value, stamp)]);
 
-      // Schedule a sync
-      scheduleSync(setp);
-      return setp;
+      log("setMany", changes.length, "keys");
+      return commitLocalChanges(changes);
     },
 
     /**
      * Delete a value from the store
+     * A tombstone is kept in its place so the deletion propagates to other devices.
      * @param {string} key The key to delete
      * @returns {Promise<void>}
      */
-    // TODO: delete should insert a special key instead of value
     async del(key) {
-      const delp = localDel(key);
-      scheduleSync(delp);
-      return delp;
+      log("del", key);
+      return commitLocalChanges([[key, makeTombstone(await nextStamp())]]);
+    },
+
+    /**
+     * Delete several values from the store with a single publish
+     * @param {string[]} keys The keys to delete
+     * @returns {Promise<void>}
+     */
+    async delMany(keys) {
+      const stamp = await nextStamp();
+
+      log("delMany", keys.length, "keys");
+      return commitLocalChanges(keys.map(key => [key, makeTombstone(stamp)]));
+    },
+
+    /**
+     * Delete every value in the store, on this and all other devices
+     * @returns {Promise<void>}
+     */
+    async clear() {
+      const entries = await liveEntries();
+      const stamp = await nextStamp();
+
+      log("clear", entries.length, "keys");
+      if (entries.length === 0) return;
+      return commitLocalChanges(entries.map(([key]) => [key, makeTombstone(stamp)]));
+    },
+
+    /**
+     * Run several writes as one atomic batch
+     * The writes are stored together with a shared clock stamp, listeners are notified once
+     * for the batch and other devices receive either all or none of them, also when sharded.
+     * If the callback throws nothing is written.
+     * The callback runs in turn with the other local writes, so none lands between its reads and
+     * writes. Writes made through the store instead of tx wait for it, so don't await them inside.
+     * @param {Function} callback Async function called with a transaction object with get, set and del methods
+     * @returns {Promise<*>} Resolves with the callback's return value once the writes are stored
+     */
+    async transaction(callback) {
+      await assertUnlocked();
+      let result;
+      let changes = [];
+
+      await commitLocalChanges(async () => {
+        // Maps each written key to its new value, undefined for deletes
+        const writes = new Map();
+        const tx = {
+          async get(key) {
+            if (writes.has(key)) return writes.get(key);
+            return entryValue(await localGet(key));
+          },
+          set(key, value) {
+            writes.set(key, value);
+          },
+          del(key) {
+            writes.set(key, undefined);
+          },
+        };
+
+        result = await callback(tx);
+
+        // Every write in the transaction shares the same stamp
+        const stamp = clock.now();
+        changes = Array.from(writes.entries()).map(([key, value]) =>
+          [key, value === undefined ? makeTombstone(stamp) : makeEntry(value, stamp)]);
+        return changes;
+      });
+
+      if (changes.length > 0) {
+        log("transaction", changes.length, "keys");
+        await notifyChanges(changes.map(([key]) => key));
+      }
+      return result;
+    },
+
+    /**
+     * Counter stored under key, increments and decrements from every device add up
+     * @param {string} key The key
+     * @returns {Object} Counter with value(), increment(by) and decrement(by)
+     */
+    counter(key) {
+      return {
+        value: async () => {
+          await assertUnlocked();
+          return crdtValue(await readCrdt(key, 'pncounter'));
+        },
+        increment: (by = 1) => updateCrdt(key, 'pncounter', state => counterAdd(state, nodeId, by)),
+        decrement: (by = 1) => updateCrdt(key, 'pncounter', state => counterAdd(state, nodeId, -by)),
+      };
+    },
+
+    /**
+     * Set of items stored under key, an item added on one device survives a concurrent remove on another
+     * @param {string} key The key
+     * @returns {Object} Set with values(), has(item), add(item) and remove(item)
+     */
+    orSet(key) {
+      const values = async () => {
+        await assertUnlocked();
+        return crdtValue(await readCrdt(key, 'orset'));
+      };
+      return {
+        values,
+        has: async (item) => (await values()).some(value => JSON.stringify(value) === JSON.stringify(item)),
+        add: (item) => updateCrdt(key, 'orset', (state, stamp) => setAdd(state, item, stamp)),
+        remove: (item) => updateCrdt(key, 'orset', state => setRemove(state, item)),
+      };
+    },
+
+    /**
+     * Object stored under key whose fields are merged one by one, each last write wins
+     * @param {string} key The key
+     * @returns {Object} Map with value(), get(field), set(field, value) and delete(field)
+     */
+    lwwMap(key) {
+      const value = async () => {
+        await assertUnlocked();
+        return crdtValue(await readCrdt(key, 'lwwmap'));
+      };
+      return {
+        value,
+        get: async (field) => (await value())[field],
+        set: (field, fieldValue) => updateCrdt(key, 'lwwmap', (state, stamp) => mapSet(state, field, fieldValue, stamp)),
+        delete: (field) => updateCrdt(key, 'lwwmap', (state, stamp) => mapSet(state, field, undefined, stamp)),
+      };
     },
 
     /**
-     * Register a callback for changes from other clients or wait for the next change
+     * Register a callback for changes from other clients (and local transactions) or wait for the next change
      * @param {Function} [callback] Optional function called with (key, newValue) when changes occur
+     * @param {Object} [options] Listener options
+     * @param {boolean} [options.batch] Call the callback once per batch with an array of {key, value} changes instead
      * @returns {Function|Promise} Function to remove the listener or Promise that resolves with the next change
      */
-    onChange(callback) {
+    onChange(callback, { batch = false } = {}) {
       // If callback is provided, add it to listeners and return removal function
       if (typeof callback === 'function') {
-        changeListeners.push(callback);
+        const listeners = batch ? batchListeners : changeListeners;
+        listeners.push(callback);
         return () => {
-          const index = changeListeners.indexOf(callback);
+          const index = listeners.indexOf(callback);
           if (index !== -1) {
-            changeListeners.splice(index, 1);
+            listeners.splice(index, 1);
           }
         };
       }
@@ -462,6 +2031,72 @@ function createStore({
       });
     },
 
+    /**
+     * Register a callback for conflicts, where a write on another device and one on this device
+     * didn't see each other, or wait for the next conflict
+     * The callback gets { key, local: { value, meta }, remote: { value, meta }, writer, winner } where
+     * writer is the remote device's auth public key and winner is 'local', 'remote' or 'merged' (by a
+     * resolver, with the result in merged).
+     * @param {Function} [callback] Optional function called with each conflict
+     * @returns {Function|Promise} Function to remove the listener or Promise that resolves with the next conflict
+     */
+    onConflict(callback) {
+      if (typeof callback === 'function') {
+        conflictListeners.push(callback);
+        return () => {
+          const index = conflictListeners.indexOf(callback);
+          if (index !== -1) {
+            conflictListeners.splice(index, 1);
+          }
+        };
+      }
+
+      return new Promise(resolve => {
+        const oneTimeCallback = (conflict) => {
+          conflictListeners.splice(conflictListeners.indexOf(oneTimeCallback), 1);
+          resolve(conflict);
+        };
+        conflictListeners.push(oneTimeCallback);
+      });
+    },
+
+    /**
+     * Get the sync status, e.g. to show "saving…" or "offline, 3 changes pending"
+     * state is 'idle', 'debouncing' (waiting for more writes), 'publishing', 'retrying' (with attempt,
+     * delay and retryAt, the time of the next attempt), 'failed' (retries exhausted, until the next
+     * write or sync()) or 'offline'. pending is the number of keys not yet published, error the
+     * reason of the last failed publish.
+     * @returns {Object} { state, pending, attempt, delay, retryAt, error }
+     */
+    status() {
+      return currentStatus();
+    },
+
+    /**
+     * Register a callback for sync status changes or wait for the next change
+     * @param {Function} [callback] Optional function called with each new status, see status()
+     * @returns {Function|Promise} Function to remove the listener or Promise that resolves with the next status
+     */
+    onStatus(callback) {
+      if (typeof callback === 'function') {
+        statusListeners.push(callback);
+        return () => {
+          const index = statusListeners.indexOf(callback);
+          if (index !== -1) {
+            statusListeners.splice(index, 1);
+          }
+        };
+      }
+
+      return new Promise(resolve => {
+        const oneTimeCallback = (status) => {
+          statusListeners.splice(statusListeners.indexOf(oneTimeCallback), 1);
+          resolve(status);
+        };
+        statusListeners.push(oneTimeCallback);
+      });
+    },
+
     /**
      * Get a promise that resolves when we receive anything from a relay.
      * @returns {Promise} A promise that resolves when any
@@ -472,30 +2107,261 @@ function createStore({
       });
     },
 
+    /**
+     * Wait until the changes the relays had stored when the store was created have been merged
+     * Resolves after readyTimeout if some relays don't answer. Publishing waits for this too.
+     * @returns {Promise<void>}
+     */
+    async ready() {
+      return whenReady();
+    },
+
     /**
      * Close all relay connections
      */
     async close() {
+      clearTimeout(readyTimer);
+      eventRetryTimers.forEach(timer => clearTimeout(timer));
+      eventRetryTimers.clear();
+      if (supervisor) {
+        supervisor.stop();
+      }
+      closeSubscriptions();
       // Close all relay connections using SimplePool
       return pool.close(relays);
     },
 
     /**
      * Wait for any pending sync to complete
-     * @returns {Promise<void>} Promise that resolves when sync is complete - resolves false if there is unsync'ed data (e.g. disconnected).
+     * If there are unpublished changes and no publish is in progress (e.g. retries were exhausted) a new publish is started.
+     * @returns {Promise<boolean>} Promise that resolves when sync is complete - resolves false if there is unsync'ed data (e.g. disconnected).
      */
     async sync() {
-      return syncPromise || Promise.resolve(true);
+      await initialized;
+      if (!syncPromise && pendingKeys.size > 0) {
+        scheduleSync();
+      }
+      return syncPromise || true;
+    },
+
+    /**
+     * Fetch our events from the relays again and merge them, including the ones this device published
+     * Rebuilds a lost or damaged local copy, e.g. after reinstalling with the same authNsec.
+     * @param {Object} [options] Resync options
+     * @param {boolean} [options.full] Fetch every event instead of those since the last sync (default: false)
+     * @returns {Promise<number>} Number of keys restored or updated
+     */
+    async resync({ full = false } = {}) {
+      await assertUnlocked();
+      await whenReady();
+
+      const since = full ? 0 : Math.min(...relays.map(relaySince));
+      const events = await pool.querySync(relays, eventFilter(since), { maxWait: readyTimeout });
+      log('Resync fetched %d events', events.length);
+
+      // Applied in the same queue as live events, newest stamp per key wins as usual
+      const restored = new Set();
+      sortStoredEvents(events).forEach(event => {
+        eventQueue = eventQueue.then(async () => {
+          const changedKeys = await processEvent(event);
+          (changedKeys || []).filter(key => !isSystemKey(key)).forEach(key => restored.add(key));
+        });
+      });
+      await eventQueue;
+      return restored.size;
+    },
+
+    /**
+     * Switch to NIP-44 encryption and republish our whole store so our events on relays
+     * are replaced with NIP-44 versions. Call once every device understands NIP-44.
+     * @returns {Promise<boolean>} Resolves with the sync result of the republish
+     */
+    async upgradeEncryption() {
+      await initialized;
+      log('Upgrading encryption from %s to nip44', encryption);
+      encryption = 'nip44';
+      fullPublishRequested = true;
+      scheduleSync();
+      return syncPromise;
+    },
+
+    /**
+     * Replace the shared key, e.g. after losing a device that held it
+     * A migration pointer carrying the new key, encrypted separately to each remaining device's
+     * auth key, is published under the old key so those devices switch over automatically.
+     * The whole store is then republished under the new key.
+     * @param {Object} [options] Rotation options
+     * @param {string[]} [options.devices] Auth npubs or hex public keys of the devices to hand the new key to (default: the active registered devices, or every device we have received events from if there is no registry)
+     * @param {string[]} [options.exclude] Auth npubs or hex public keys of devices to leave out, e.g. the lost device
+     * @returns {Promise<Object>} Resolves with the new shared key as { npub, nsec } once the pointer is published
+     */
+    async rotateKey({ devices, exclude = [] } = {}) {
+      await initialized;
+      if (!authSigner.nip44) {
+        throw new Error('Rotating the shared key needs a signer with NIP-44 support');
+      }
+
+      const excluded = new Set(exclude.map(toHexPubkey));
+      const activeDevices = Array.from(deviceRegistry.keys()).filter(pubkey => !deviceRegistry.get(pubkey).revokedAt);
+      const defaultRecipients = deviceRegistry.size > 0 ? activeDevices : Array.from(knownWriters);
+      const recipients = (devices || defaultRecipients)
+        .map(toHexPubkey)
+        .filter(pubkey => pubkey !== authPubkey && !excluded.has(pubkey));
+
+      const newSecretKey = generateSecretKey();
+      const newNsec = nip19.nsecEncode(newSecretKey);
+      const pointer = { next: getPublicKey(newSecretKey), keys: {} };
+      for (const pubkey of recipients) {
+        pointer.keys[pubkey] = await authSigner.nip44.encrypt(pubkey, newNsec);
+      }
+
+      // Published under the old key, the only one devices that have not switched yet listen for
+      log('Rotating shared key for %d other devices', recipients.length);
+      await signAndPublish(30078, [
+        ["d", rotationTag(kvPubkey)],
+        ["p", kvPubkey]
+      ], nip44.encrypt(JSON.stringify(pointer), conversationKey));
+
+      await switchKvKey(newSecretKey);
+      return {
+        npub: nip19.npubEncode(kvPubkey),
+        nsec: newNsec
+      };
+    },
+
+    /**
+     * Create an invite that sets up another device with this store
+     * The invite carries a new auth key for the device, which is added to the device registry if it is in use.
+     * With expiresIn the key is only accepted until the invite expires, unless the device has started by then.
+     * Without a passphrase the invite contains the shared key itself, so share it privately.
+     * @param {Object} [options] Invite options
+     * @param {number} [options.expiresIn] Time in ms after which the invite is refused
+     * @param {string} [options.passphrase] Wrap the keys with this passphrase (NIP-49)
+     * @param {string} [options.label] Label for the invited device in the registry
+     * @returns {Promise<string>} Invite URI for a link or QR code, accepted by acceptInvite()
+     */
+    async createInvite({ expiresIn, passphrase, label = null } = {}) {
+      await initialized;
+      const inviteeSecretKey = generateSecretKey();
+      const expiresAt = expiresIn ? Date.now() + expiresIn : null;
+      if (deviceRegistry.size > 0) {
+        // An unused key stops being accepted when the invite expires
+        await updateDevice(getPublicKey(inviteeSecretKey), { label, revokedAt: null, expiresAt });
+      }
+
+      return encodeInvite({
+        namespace,
+        kvSecretKey,
+        relays,
+        authSecretKey: inviteeSecretKey,
+        expiresAt,
+        passphrase
+      });
+    },
+
+    /**
+     * List the devices in the registry
+     * @returns {Promise<Array>} Array of { npub, label, addedAt, revokedAt, expiresAt, thisDevice } - revokedAt is null for active devices,
+     * expiresAt is set for devices invited with an expiring invite that haven't started yet
+     */
+    async listDevices() {
+      await initialized;
+      return Array.from(deviceRegistry.entries()).map(([pubkey, device]) => ({
+        npub: nip19.npubEncode(pubkey),
+        label: device.label,
+        addedAt: device.addedAt,
+        revokedAt: device.revokedAt,
+        expiresAt: device.expiresAt || null,
+        thisDevice: pubkey === authPubkey
+      }));
+    },
+
+    /**
+     * Authorize a device to write to the store
+     * Once the registry has a device, events from devices that aren't in it are ignored.
+     * Registering the first device also registers this one.
+     * @param {string} device Auth npub or hex public key of the device
+     * @param {Object} [options] Device options
+     * @param {string} [options.label] Label to show for the device
+     * @returns {Promise<void>}
+     */
+    async addDevice(device, { label } = {}) {
+      const update = { revokedAt: null };
+      if (label !== undefined) update.label = label;
+      return updateDevice(toHexPubkey(device), update);
+    },
+
+    /**
+     * Revoke a device, ignoring its events from now on
+     * It can still read the store until the shared key is replaced with rotateKey().
+     * @param {string} device Auth npub or hex public key of the device
+     * @returns {Promise<void>}
+     */
+    async revokeDevice(device) {
+      return updateDevice(toHexPubkey(device), { revokedAt: Date.now() });
+    },
+
+    /**
+     * Forget the local encryption key, reads and writes reject with StoreLockedError until unlock()
+     * Syncing pauses while locked and resumes after unlocking.
+     */
+    lock() {
+      if (!localEncryption) {
+        throw new Error('Local encryption is not enabled');
+      }
+      log('Locking local data');
+      localEncryption.lock();
+    },
+
+    /**
+     * Unlock the local data
+     * @param {string} [passphrase] The passphrase, when encryptLocal uses one
+     * @returns {Promise<void>} Rejects if the passphrase is wrong
+     */
+    async unlock(passphrase) {
+      if (!localEncryption) {
+        throw new Error('Local encryption is not enabled');
+      }
+      if (localPassphrase && !passphrase) {
+        throw new Error('A passphrase is required to unlock the local data');
+      }
+      await keysReady;
+      await localEncryption.unlock(localPassphrase ? passphrase : localKeySecret);
+      log('Unlocked local data');
+    },
+
+    /**
+     * Check whether the local data is locked
+     * @returns {boolean}
+     */
+    isLocked() {
+      return !!localEncryption && localEncryption.isLocked();
+    },
+
+    /**
+     * Get the current size of the encrypted payload (of the largest shard when sharding)
+     * @returns {Promise<Object>} { bytes, maxBytes, headroom } - maxBytes and headroom are null when there is no limit
+     */
+    async size() {
+      await initialized;
+      const bytes = await payloadSize();
+      return {
+        bytes,
+        maxBytes: maxPayloadBytes > 0 ? maxPayloadBytes : null,
+        headroom: maxPayloadBytes > 0 ? maxPayloadBytes - bytes : null
+      };
     },
 
     /**
      * Get the cryptographic keys.
+     * With a signer the auth nsec is null, as is the auth npub until the signer's public key is known.
+     * With persistKeys the keys are final once initialization completes, e.g. after awaiting sync().
      */
     keys() {
       return {
         "auth": {
-          "npub": nip19.npubEncode(authPubkey),
-          "nsec": nip19.nsecEncode(authSecretKey)
+          "npub": authPubkey ? nip19.npubEncode(authPubkey) : null,
+          "nsec": authSecretKey ? nip19.nsecEncode(authSecretKey) : null
         },
         "kv": {
           "npub": nip19.npubEncode(kvPubkey),
@@ -506,5 +2372,16 @@ function createStore({
   };
 }
 
-// Export the createStore function
-export { createStore };
+/**
+ * Set up this device with a store from an invite created by createInvite()
+ * The store pulls the current data from the relays straight away.
+ * @param {string} invite Invite URI
+ * @param {Object} [options] Any other createStore options, e.g. passphrase, authNsec or storage
+ * @returns {Object} Store interface, see createStore
+ */
+function acceptInvite(invite, options = {}) {
+  return createStore(Object.assign({}, options, { invite }));
+}
+
+// Export the createStore function, the signer adapters and the bundled storage adapters
+export { createStore, acceptInvite, PayloadTooLargeError, StoreLockedError, createNip07Signer, createNip46Signer, createIdbStorage, createLocalStorage, createMemoryStorage };
@@ -0,0 +1,95 @@
+import * as nip19 from 'nostr-tools/nip19';
+import * as nip49 from 'nostr-tools/nip49';
+import { toBase64, fromBase64 } from './codec.js';
+
+// Invites are "nostr-kv-invite:<version>:<body>" where <body> is base64url JSON
+// with short field names so the URI stays small enough for a QR code:
+//   n - namespace
+//   r - relay URLs
+//   k - shared key as an nsec, or
+//   w - shared key wrapped with a passphrase as a NIP-49 ncryptsec
+//   a - auth key generated for the invited device as an nsec, or
+//   wa - auth key wrapped with the passphrase as a NIP-49 ncryptsec
+//   e - optional expiry as a unix timestamp in seconds
+
+const INVITE_PREFIX = 'nostr-kv-invite:1:';
+
+/**
+ * Encode an invite that configures another device to use a store
+ * @param {Object} options Invite contents
+ * @param {string} options.namespace Namespace of the store
+ * @param {Uint8Array} options.kvSecretKey Shared key of the store
+ * @param {string[]} options.relays Relay URLs of the store
+ * @param {Uint8Array} [options.authSecretKey] Auth key for the invited device
+ * @param {number} [options.expiresAt] Expiry time in ms since the epoch
+ * @param {string} [options.passphrase] Passphrase to wrap the keys with
+ * @returns {string} Invite URI
+ */
+function encodeInvite({ namespace, kvSecretKey, relays, authSecretKey, expiresAt, passphrase }) {
+  const invite = { n: namespace, r: relays };
+  if (passphrase) {
+    invite.w = nip49.encrypt(kvSecretKey, passphrase);
+  } else {
+    invite.k = nip19.nsecEncode(kvSecretKey);
+  }
+  if (authSecretKey) {
+    if (passphrase) {
+      invite.wa = nip49.encrypt(authSecretKey, passphrase);
+    } else {
+      invite.a = nip19.nsecEncode(authSecretKey);
+    }
+  }
+  if (expiresAt) {
+    invite.e = Math.floor(expiresAt / 1000);
+  }
+
+  const body = toBase64(new TextEncoder().encode(JSON.stringify(invite)))
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+  return INVITE_PREFIX + body;
+}
+
+/**
+ * Decode an invite produced by encodeInvite, checking its expiry
+ * @param {string} uri Invite URI
+ * @param {string} [passphrase] Passphrase, required if the shared key was wrapped with one
+ * @returns {Object} { namespace, kvNsec, relays, authNsec } - authNsec is undefined if the invite has no auth key
+ */
+function decodeInvite(uri, passphrase) {
+  if (typeof uri !== 'string' || !uri.startsWith(INVITE_PREFIX)) {
+    throw new Error('Unrecognized invite');
+  }
+
+  const body = uri.slice(INVITE_PREFIX.length).replace(/-/g, '+').replace(/_/g, '/');
+  const invite = JSON.parse(new TextDecoder().decode(fromBase64(body)));
+
+  if (invite.e && invite.e * 1000 < Date.now()) {
+    throw new Error('Invite has expired');
+  }
+
+  let kvNsec = invite.k;
+  let authNsec = invite.a;
+  if (invite.w) {
+    if (!passphrase) {
+      throw new Error('Invite requires a passphrase');
+    }
+    try {
+      kvNsec = nip19.nsecEncode(nip49.decrypt(invite.w, passphrase));
+      if (invite.wa) {
+        authNsec = nip19.nsecEncode(nip49.decrypt(invite.wa, passphrase));
+      }
+    } catch (error) {
+      throw new Error('Wrong passphrase for invite');
+    }
+  }
+
+  return {
+    namespace: invite.n,
+    kvNsec,
+    relays: invite.r,
+    authNsec
+  };
+}
+
+export { encodeInvite, decodeInvite };
@@ -0,0 +1,68 @@
+import * as nip19 from 'nostr-tools/nip19';
+
+// Generated keys are saved in the local storage adapter so a store created
+// without keys keeps its identity across reloads. They are saved either as
+//   { auth, kv }                   - nsec strings
+// or, wrapped with a non-extractable WebCrypto key stored next to them,
+//   { wrappingKey, iv, keys }      - AES-GCM encrypted JSON of { auth, kv }
+// A non-extractable key can't be read back out of storage as raw bytes, so a
+// copy of the storage (e.g. a browser profile backup) doesn't reveal the keys
+// without also running code in the original origin. Only storage that keeps
+// CryptoKey objects, like IndexedDB, can hold wrapped keys.
+
+/**
+ * Load keys saved by saveKeys
+ * @param {Object} storage Storage adapter
+ * @param {string} storageKey Key the keys are saved under
+ * @returns {Promise<Object|null>} { auth, kv } secret keys as Uint8Arrays (either may be missing), or null if nothing was saved
+ */
+async function loadKeys(storage, storageKey) {
+  const saved = await storage.get(storageKey);
+  if (!saved) return null;
+
+  let keys = saved;
+  if (saved.wrappingKey) {
+    const decrypted = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: saved.iv }, saved.wrappingKey, saved.keys);
+    keys = JSON.parse(new TextDecoder().decode(decrypted));
+  }
+
+  return {
+    auth: keys.auth ? nip19.decode(keys.auth).data : undefined,
+    kv: keys.kv ? nip19.decode(keys.kv).data : undefined
+  };
+}
+
+/**
+ * Save keys so loadKeys returns them after a reload
+ * @param {Object} storage Storage adapter
+ * @param {string} storageKey Key to save the keys under
+ * @param {Object} keys { auth, kv } secret keys as Uint8Arrays, either may be missing
+ * @param {Object} [options] Save options
+ * @param {boolean} [options.wrap] Encrypt the keys with a new non-extractable WebCrypto key
+ * @returns {Promise<void>} Rejects if wrapped keys can't be read back from the storage
+ */
+async function saveKeys(storage, storageKey, keys, { wrap = false } = {}) {
+  const encoded = {};
+  if (keys.auth) encoded.auth = nip19.nsecEncode(keys.auth);
+  if (keys.kv) encoded.kv = nip19.nsecEncode(keys.kv);
+
+  if (!wrap) {
+    return storage.set(storageKey, encoded);
+  }
+
+  const wrappingKey = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const plaintext = new TextEncoder().encode(JSON.stringify(encoded));
+  const encrypted = new Uint8Array(await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, wrappingKey, plaintext));
+  await storage.set(storageKey, { wrappingKey, iv, keys: encrypted });
+
+  // Storage that serializes values, like localStorage or a file, loses the CryptoKey
+  try {
+    await loadKeys(storage, storageKey);
+  } catch (error) {
+    await storage.del(storageKey);
+    throw new Error("The storage adapter can't hold wrapped keys, use persistKeys: true or a storage that keeps CryptoKey objects like IndexedDB");
+  }
+}
+
+export { loadKeys, saveKeys };
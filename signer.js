@@ -0,0 +1,86 @@
+import { finalizeEvent, generateSecretKey, getPublicKey } from 'nostr-tools/pure';
+import * as nip44 from 'nostr-tools/nip44';
+import { BunkerSigner, parseBunkerInput } from 'nostr-tools/nip46';
+
+// A signer signs the store's events with a device's auth key. Every signer has
+//   getPublicKey()         - resolves with the hex public key
+//   signEvent(template)    - resolves with the signed event
+// and optionally, needed to rotate the shared key (see rotateKey()):
+//   nip44.encrypt(pubkey, plaintext)
+//   nip44.decrypt(pubkey, ciphertext)
+
+/**
+ * Create a signer from a raw secret key, used when createStore is given authNsec
+ * @param {Uint8Array} secretKey Secret key
+ * @returns {Object} Signer
+ */
+function createSecretKeySigner(secretKey) {
+  return {
+    async getPublicKey() {
+      return getPublicKey(secretKey);
+    },
+    async signEvent(eventTemplate) {
+      return finalizeEvent(eventTemplate, secretKey);
+    },
+    nip44: {
+      async encrypt(pubkey, plaintext) {
+        return nip44.encrypt(plaintext, nip44.getConversationKey(secretKey, pubkey));
+      },
+      async decrypt(pubkey, ciphertext) {
+        return nip44.decrypt(ciphertext, nip44.getConversationKey(secretKey, pubkey));
+      }
+    }
+  };
+}
+
+/**
+ * Create a signer using a NIP-07 browser extension
+ * @param {Object} [nostr] The extension's API (default: window.nostr)
+ * @returns {Object} Signer
+ */
+function createNip07Signer(nostr = globalThis.nostr) {
+  if (!nostr) {
+    throw new Error('No NIP-07 extension found (window.nostr is not set)');
+  }
+
+  return {
+    getPublicKey: () => nostr.getPublicKey(),
+    signEvent: (eventTemplate) => nostr.signEvent(eventTemplate),
+    nip44: nostr.nip44 ? {
+      encrypt: (pubkey, plaintext) => nostr.nip44.encrypt(pubkey, plaintext),
+      decrypt: (pubkey, ciphertext) => nostr.nip44.decrypt(pubkey, ciphertext)
+    } : undefined
+  };
+}
+
+/**
+ * Create a signer using a NIP-46 remote signer (bunker)
+ * Keep the client secret key to reconnect later without approving a new client.
+ * @param {string} bunker bunker:// URI or NIP-05 address of the remote signer
+ * @param {Object} [options] Connection options
+ * @param {Uint8Array} [options.clientSecretKey] Key identifying this client to the remote signer (default: generated)
+ * @param {Object} [options.pool] SimplePool to talk to the remote signer's relays
+ * @param {Function} [options.onauth] Called with a URL when the remote signer asks the user to authorize
+ * @returns {Promise<Object>} Signer, with a close() method to disconnect
+ */
+async function createNip46Signer(bunker, { clientSecretKey = generateSecretKey(), pool, onauth } = {}) {
+  const pointer = await parseBunkerInput(bunker);
+  if (!pointer) {
+    throw new Error(`Invalid remote signer: ${bunker}`);
+  }
+
+  const remote = BunkerSigner.fromBunker(clientSecretKey, pointer, { pool, onauth });
+  await remote.connect();
+
+  return {
+    getPublicKey: () => remote.getPublicKey(),
+    signEvent: (eventTemplate) => remote.signEvent(eventTemplate),
+    nip44: {
+      encrypt: (pubkey, plaintext) => remote.nip44Encrypt(pubkey, plaintext),
+      decrypt: (pubkey, ciphertext) => remote.nip44Decrypt(pubkey, ciphertext)
+    },
+    close: () => remote.close()
+  };
+}
+
+export { createSecretKeySigner, createNip07Signer, createNip46Signer };
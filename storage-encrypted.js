@@ -0,0 +1,183 @@
+import { toBase64, fromBase64 } from './codec.js';
+import { withBatchMethods } from './storage.js';
+
+// Wraps a storage adapter so values are AES-GCM encrypted at rest.
+//
+// Every encrypted value is stored as the string "nkvlocal1:<base64 iv + ciphertext>"
+// of the JSON { k: key, v: value }, so a value can't be moved to another key
+// unnoticed. With keyNames the key itself is replaced by an HMAC of the key so
+// key names aren't readable either. Values that aren't in this format (written
+// before encryption was enabled) are returned as they are.
+//
+// The AES and HMAC keys are derived from either a secret key (HKDF) or a
+// passphrase (PBKDF2) with a random salt. The salt and an encrypted check value
+// are stored unencrypted under checkKey so unlocking with the wrong secret fails.
+
+const VALUE_PREFIX = 'nkvlocal1:';
+const KEY_PREFIX = '_nkvlocal_';
+const CHECK_VALUE = 'nostr-kv';
+const PBKDF2_ITERATIONS = 600000;
+
+/**
+ * Derive the AES-GCM and HMAC keys from a secret key or passphrase
+ */
+async function deriveKeys(secret, salt) {
+  const subtle = crypto.subtle;
+  let bits;
+  if (typeof secret === 'string') {
+    const material = await subtle.importKey('raw', new TextEncoder().encode(secret.normalize('NFKC')), 'PBKDF2', false, ['deriveBits']);
+    bits = await subtle.deriveBits({ name: 'PBKDF2', hash: 'SHA-256', salt, iterations: PBKDF2_ITERATIONS }, material, 512);
+  } else {
+    const material = await subtle.importKey('raw', secret, 'HKDF', false, ['deriveBits']);
+    bits = await subtle.deriveBits({ name: 'HKDF', hash: 'SHA-256', salt, info: new TextEncoder().encode('nostr-kv local') }, material, 512);
+  }
+
+  const bytes = new Uint8Array(bits);
+  return {
+    aesKey: await subtle.importKey('raw', bytes.slice(0, 32), 'AES-GCM', false, ['encrypt', 'decrypt']),
+    hmacKey: await subtle.importKey('raw', bytes.slice(32), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign'])
+  };
+}
+
+/**
+ * Wrap a storage adapter to encrypt everything except plainKeys
+ * Until unlock() is called (and after lock()) reads and writes of encrypted keys wait.
+ * @param {Object} storage Storage adapter to store the encrypted data in
+ * @param {Object} [options] Encryption options
+ * @param {boolean} [options.keyNames] Also hide key names (default: false)
+ * @param {string[]} [options.plainKeys] Keys stored unencrypted
+ * @param {string} [options.checkKey] Key for the salt and check value (default: '_nkvmeta_localKey')
+ * @returns {Object} Storage adapter with unlock(secret), lock() and isLocked() methods
+ */
+function createEncryptedStorage(storage, { keyNames = false, plainKeys = [], checkKey = '_nkvmeta_localKey' } = {}) {
+  const inner = withBatchMethods(storage);
+  const isPlain = (key) => key === checkKey || plainKeys.includes(key);
+
+  let keys = null;
+  let unlocked, resolveUnlocked;
+  const resetLock = () => {
+    unlocked = new Promise(resolve => {
+      resolveUnlocked = resolve;
+    });
+  };
+  resetLock();
+
+  async function encrypt(plaintext) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const encrypted = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, keys.aesKey, new TextEncoder().encode(plaintext));
+    const bytes = new Uint8Array(12 + encrypted.byteLength);
+    bytes.set(iv);
+    bytes.set(new Uint8Array(encrypted), 12);
+    return VALUE_PREFIX + toBase64(bytes);
+  }
+
+  async function decrypt(stored) {
+    const bytes = fromBase64(stored.slice(VALUE_PREFIX.length));
+    const decrypted = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: bytes.subarray(0, 12) }, keys.aesKey, bytes.subarray(12));
+    return new TextDecoder().decode(decrypted);
+  }
+
+  const isEncrypted = (stored) => typeof stored === 'string' && stored.startsWith(VALUE_PREFIX);
+
+  // Key the value of key is stored under
+  async function storageKey(key) {
+    if (isPlain(key) || !keyNames) return key;
+    await unlocked;
+    const mac = await crypto.subtle.sign('HMAC', keys.hmacKey, new TextEncoder().encode(key));
+    return KEY_PREFIX + toBase64(new Uint8Array(mac));
+  }
+
+  async function encode(key, value) {
+    if (isPlain(key)) return value;
+    await unlocked;
+    return encrypt(JSON.stringify({ k: key, v: value }));
+  }
+
+  // Decode a stored value into [key, value], storedKey is used for values that aren't encrypted
+  async function decode(storedKey, stored) {
+    if (isPlain(storedKey) || !isEncrypted(stored)) return [storedKey, stored];
+    await unlocked;
+    const { k, v } = JSON.parse(await decrypt(stored));
+    return [k, v];
+  }
+
+  async function read(key, stored) {
+    if (stored === undefined) return undefined;
+    const [storedKey, value] = await decode(key, stored);
+    if (!isPlain(key) && isEncrypted(stored) && storedKey !== key) {
+      throw new Error(`Encrypted value stored under the wrong key: ${key}`);
+    }
+    return value;
+  }
+
+  return {
+    async get(key) {
+      return read(key, await inner.get(await storageKey(key)));
+    },
+    async set(key, value) {
+      return inner.set(await storageKey(key), await encode(key, value));
+    },
+    async del(key) {
+      return inner.del(await storageKey(key));
+    },
+    async entries() {
+      const all = await inner.entries();
+      return Promise.all(all.map(([key, stored]) => decode(key, stored)));
+    },
+    clear: () => inner.clear(),
+    async getMany(keyList) {
+      const stored = await inner.getMany(await Promise.all(keyList.map(storageKey)));
+      return Promise.all(keyList.map((key, i) => read(key, stored[i])));
+    },
+    async setMany(entryList) {
+      const encoded = await Promise.all(entryList.map(async ([key, value]) => [await storageKey(key), await encode(key, value)]));
+      return inner.setMany(encoded);
+    },
+    async delMany(keyList) {
+      return inner.delMany(await Promise.all(keyList.map(storageKey)));
+    },
+
+    /**
+     * Derive the encryption keys and let reads and writes through
+     * @param {Uint8Array|string} secret Secret key bytes or passphrase
+     * @returns {Promise<void>} Rejects if secret doesn't match the one the data was encrypted with
+     */
+    async unlock(secret) {
+      const check = await inner.get(checkKey);
+      const salt = check ? fromBase64(check.salt) : crypto.getRandomValues(new Uint8Array(16));
+      const derived = await deriveKeys(secret, salt);
+
+      const previous = keys;
+      keys = derived;
+      if (check) {
+        const matches = await decrypt(check.value).then(value => value === CHECK_VALUE, () => false);
+        if (!matches) {
+          keys = previous;
+          throw new Error('Wrong key or passphrase for the local data');
+        }
+      } else {
+        await inner.set(checkKey, { salt: toBase64(salt), value: await encrypt(CHECK_VALUE) });
+      }
+      resolveUnlocked();
+    },
+
+    /**
+     * Forget the encryption keys, reads and writes wait until the next unlock()
+     */
+    lock() {
+      if (!keys) return;
+      keys = null;
+      resetLock();
+    },
+
+    /**
+     * Check whether the encryption keys are currently unavailable
+     * @returns {boolean}
+     */
+    isLocked() {
+      return !keys;
+    },
+  };
+}
+
+export { createEncryptedStorage };
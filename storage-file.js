@@ -0,0 +1,83 @@
+import { readFile, writeFile, rename } from 'node:fs/promises';
+
+/**
+ * Storage adapter backed by a JSON file (Node only)
+ * The whole file is loaded on first access and rewritten after each change.
+ * Values are JSON serialized so they must be JSON compatible.
+ * @param {string} filePath Path of the JSON file to read and write
+ * @returns {Object} Storage adapter
+ */
+function createFileStorage(filePath) {
+  let loaded = null;
+  let writeChain = Promise.resolve();
+
+  // Load the file contents into memory once
+  function load() {
+    if (!loaded) {
+      loaded = readFile(filePath, 'utf8')
+        .then(raw => new Map(Object.entries(JSON.parse(raw))))
+        .catch(error => {
+          if (error.code === 'ENOENT') return new Map();
+          throw error;
+        });
+    }
+    return loaded;
+  }
+
+  // Writes are chained so they land on disk in order, and go through a
+  // temporary file so a crash mid-write never leaves a truncated store
+  function persist(data) {
+    const raw = JSON.stringify(Object.fromEntries(data));
+    const tmpPath = `${filePath}.tmp`;
+    writeChain = writeChain
+      .catch(() => {})
+      .then(() => writeFile(tmpPath, raw, 'utf8'))
+      .then(() => rename(tmpPath, filePath));
+    return writeChain;
+  }
+
+  const copy = (value) => value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+
+  return {
+    async get(key) {
+      const data = await load();
+      return copy(data.get(key));
+    },
+    async set(key, value) {
+      const data = await load();
+      data.set(key, copy(value));
+      return persist(data);
+    },
+    async del(key) {
+      const data = await load();
+      data.delete(key);
+      return persist(data);
+    },
+    async entries() {
+      const data = await load();
+      return Array.from(data.entries()).map(([key, value]) => [key, copy(value)]);
+    },
+    async clear() {
+      const data = await load();
+      data.clear();
+      return persist(data);
+    },
+    async getMany(keys) {
+      const data = await load();
+      return keys.map(key => copy(data.get(key)));
+    },
+    async setMany(entries) {
+      const data = await load();
+      const copies = entries.map(([key, value]) => [key, copy(value)]);
+      copies.forEach(([key, value]) => data.set(key, value));
+      return persist(data);
+    },
+    async delMany(keys) {
+      const data = await load();
+      keys.forEach(key => data.delete(key));
+      return persist(data);
+    },
+  };
+}
+
+export { createFileStorage };
@@ -0,0 +1,178 @@
+import {
+  get as idbGet,
+  set as idbSet,
+  del as idbDel,
+  entries as idbEntries,
+  clear as idbClear,
+  getMany as idbGetMany,
+  setMany as idbSetMany,
+  delMany as idbDelMany,
+  createStore as createIdbStore
+} from 'idb-keyval';
+
+// A storage adapter is a plain object with these async methods:
+//   get(key), set(key, value), del(key), entries(), clear()
+// and optionally the batch methods getMany(keys), setMany(entries), delMany(keys).
+// Batch methods should be atomic where the backend allows it.
+
+/**
+ * Copy a value so callers can't mutate what is held in memory
+ */
+function copy(value) {
+  if (value === undefined) return undefined;
+  if (typeof structuredClone === 'function') return structuredClone(value);
+  return JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Storage adapter backed by IndexedDB (via idb-keyval)
+ * @param {string} dbName IndexedDB database name
+ * @param {string} [storeName] Object store name (default: 'keyval')
+ * @returns {Object} Storage adapter
+ */
+function createIdbStorage(dbName, storeName = 'keyval') {
+  const customStore = createIdbStore(dbName, storeName);
+  return {
+    get: (key) => idbGet(key, customStore),
+    set: (key, value) => idbSet(key, value, customStore),
+    del: (key) => idbDel(key, customStore),
+    entries: () => idbEntries(customStore),
+    clear: () => idbClear(customStore),
+    getMany: (keys) => idbGetMany(keys, customStore),
+    setMany: (entries) => idbSetMany(entries, customStore),
+    delMany: (keys) => idbDelMany(keys, customStore),
+  };
+}
+
+/**
+ * Storage adapter backed by a Web Storage object (localStorage by default)
+ * Values are JSON serialized so they must be JSON compatible.
+ * @param {string} prefix Prefix for every key written to the Web Storage object
+ * @param {Storage} [webStorage] Storage object to use (default: globalThis.localStorage)
+ * @returns {Object} Storage adapter
+ */
+function createLocalStorage(prefix, webStorage = globalThis.localStorage) {
+  if (!webStorage) {
+    throw new Error('localStorage is not available in this environment');
+  }
+
+  const read = (key) => {
+    const raw = webStorage.getItem(prefix + key);
+    return raw === null ? undefined : JSON.parse(raw);
+  };
+
+  const ownKeys = () => {
+    const found = [];
+    for (let i = 0; i < webStorage.length; i++) {
+      const storageKey = webStorage.key(i);
+      if (storageKey !== null && storageKey.startsWith(prefix)) {
+        found.push(storageKey.slice(prefix.length));
+      }
+    }
+    return found;
+  };
+
+  return {
+    async get(key) {
+      return read(key);
+    },
+    async set(key, value) {
+      webStorage.setItem(prefix + key, JSON.stringify(value));
+    },
+    async del(key) {
+      webStorage.removeItem(prefix + key);
+    },
+    async entries() {
+      return ownKeys().map(key => [key, read(key)]);
+    },
+    async clear() {
+      ownKeys().forEach(key => webStorage.removeItem(prefix + key));
+    },
+    async getMany(keys) {
+      return keys.map(read);
+    },
+    async setMany(entries) {
+      // Serialize everything first so a bad value doesn't leave a partial write
+      const serialized = entries.map(([key, value]) => [prefix + key, JSON.stringify(value)]);
+      serialized.forEach(([storageKey, raw]) => webStorage.setItem(storageKey, raw));
+    },
+    async delMany(keys) {
+      keys.forEach(key => webStorage.removeItem(prefix + key));
+    },
+  };
+}
+
+/**
+ * Storage adapter that keeps everything in memory (lost when the process exits)
+ * @param {Iterable} [initial] Optional initial [key, value] entries
+ * @returns {Object} Storage adapter
+ */
+function createMemoryStorage(initial = []) {
+  const data = new Map(initial);
+  return {
+    async get(key) {
+      return copy(data.get(key));
+    },
+    async set(key, value) {
+      data.set(key, copy(value));
+    },
+    async del(key) {
+      data.delete(key);
+    },
+    async entries() {
+      return Array.from(data.entries()).map(([key, value]) => [key, copy(value)]);
+    },
+    async clear() {
+      data.clear();
+    },
+    async getMany(keys) {
+      return keys.map(key => copy(data.get(key)));
+    },
+    async setMany(entries) {
+      const copies = entries.map(([key, value]) => [key, copy(value)]);
+      copies.forEach(([key, value]) => data.set(key, value));
+    },
+    async delMany(keys) {
+      keys.forEach(key => data.delete(key));
+    },
+  };
+}
+
+/**
+ * Fill in any batch methods missing from a storage adapter
+ * @param {Object} storage Storage adapter
+ * @returns {Object} Storage adapter with getMany, setMany and delMany
+ */
+function withBatchMethods(storage) {
+  for (const method of ['get', 'set', 'del', 'entries', 'clear']) {
+    if (typeof storage[method] !== 'function') {
+      throw new Error(`Storage adapter is missing method: ${method}`);
+    }
+  }
+  return {
+    get: (key) => storage.get(key),
+    set: (key, value) => storage.set(key, value),
+    del: (key) => storage.del(key),
+    entries: () => storage.entries(),
+    clear: () => storage.clear(),
+    getMany: storage.getMany ?
+      (keys) => storage.getMany(keys) :
+      (keys) => Promise.all(keys.map(key => storage.get(key))),
+    setMany: storage.setMany ?
+      (entries) => storage.setMany(entries) :
+      async (entries) => {
+        for (const [key, value] of entries) {
+          await storage.set(key, value);
+        }
+      },
+    delMany: storage.delMany ?
+      (keys) => storage.delMany(keys) :
+      async (keys) => {
+        for (const key of keys) {
+          await storage.del(key);
+        }
+      },
+  };
+}
+
+export { createIdbStorage, createLocalStorage, createMemoryStorage, withBatchMethods };
@@ -0,0 +1,152 @@
+// Keeps the relay subscriptions alive. A relay whose subscription closed without us
+// asking is resubscribed with exponential backoff. When the network comes back, or the
+// page becomes visible again (browsers often drop the sockets of hidden pages without
+// telling anyone) while online, every relay is resubscribed and pending changes are published.
+//
+// Network and page state come from an environment, so the supervisor also works outside
+// browsers and can be driven by tests:
+//   isOnline()          - whether the network is up
+//   isVisible()         - whether the page is visible
+//   subscribe(listener) - call listener('online' | 'offline' | 'visible' | 'hidden') on
+//                         changes, returns a function that stops the calls
+
+/**
+ * Environment backed by the browser's online/offline and visibilitychange events
+ * @param {Object} [win] Window object (default: globalThis)
+ * @returns {Object} Environment
+ */
+function createBrowserEnvironment(win = globalThis) {
+  const doc = win.document;
+  return {
+    isOnline: () => !win.navigator || win.navigator.onLine !== false,
+    isVisible: () => !doc || doc.visibilityState !== 'hidden',
+    subscribe(listener) {
+      const online = () => listener('online');
+      const offline = () => listener('offline');
+      const visibility = () => listener(doc.visibilityState === 'hidden' ? 'hidden' : 'visible');
+      win.addEventListener('online', online);
+      win.addEventListener('offline', offline);
+      if (doc) doc.addEventListener('visibilitychange', visibility);
+      return () => {
+        win.removeEventListener('online', online);
+        win.removeEventListener('offline', offline);
+        if (doc) doc.removeEventListener('visibilitychange', visibility);
+      };
+    },
+  };
+}
+
+/**
+ * Environment that is always online and visible, for Node
+ * @returns {Object} Environment
+ */
+function createStaticEnvironment() {
+  return {
+    isOnline: () => true,
+    isVisible: () => true,
+    subscribe: () => () => {},
+  };
+}
+
+/**
+ * The browser environment where there is one, the static one otherwise
+ * @returns {Object} Environment
+ */
+function defaultEnvironment() {
+  return typeof globalThis.addEventListener === 'function' ? createBrowserEnvironment() : createStaticEnvironment();
+}
+
+/**
+ * Create a supervisor for the relay subscriptions
+ * @param {Object} options Supervisor options
+ * @param {Object} options.environment Environment to watch, see above
+ * @param {Function} options.reconnect Called with a relay URL to resubscribe to it
+ * @param {Function} options.resume Called to resubscribe to every relay and publish pending changes
+ * @param {Function} [options.suspend] Called when the network goes down
+ * @param {number} [options.baseDelay] Delay in ms before the first reconnect attempt (default: 1000)
+ * @param {number} [options.maxDelay] Maximum delay in ms between reconnect attempts (default: 60000)
+ * @param {Function} [options.log] Debug logger
+ * @returns {Object} Supervisor with dropped(relay), connected(relay), isOnline() and stop()
+ */
+function createSupervisor({ environment, reconnect, resume, suspend = () => {}, baseDelay = 1000, maxDelay = 60000, log = () => {} }) {
+  // Reconnect attempts and pending timers per relay
+  const attempts = new Map();
+  const timers = new Map();
+  let online = environment.isOnline();
+  let stopped = false;
+
+  function clearTimers() {
+    timers.forEach(timer => clearTimeout(timer));
+    timers.clear();
+  }
+
+  function scheduleReconnect(relay) {
+    const attempt = attempts.get(relay) || 1;
+    const delay = Math.min(baseDelay * Math.pow(2, attempt - 1), maxDelay);
+    log('Reconnecting to %s in %dms (attempt %d)', relay, delay, attempt);
+    timers.set(relay, setTimeout(() => {
+      timers.delete(relay);
+      reconnect(relay);
+    }, delay));
+  }
+
+  const unsubscribe = environment.subscribe(change => {
+    if (stopped) return;
+    log('Environment changed: %s', change);
+    if (change === 'offline') {
+      // Nothing can connect, wait for the network to come back
+      online = false;
+      clearTimers();
+      suspend();
+    } else if (change === 'online' || change === 'visible') {
+      // A page that becomes visible may still be offline
+      online = change === 'online' || environment.isOnline();
+      if (!online) return;
+      clearTimers();
+      attempts.clear();
+      resume();
+    }
+  });
+
+  return {
+    /**
+     * Report that a relay's subscription closed without us closing it
+     * @param {string} relay Relay URL
+     */
+    dropped(relay) {
+      if (stopped || timers.has(relay)) return;
+      attempts.set(relay, (attempts.get(relay) || 0) + 1);
+      // Offline relays are all resubscribed once the network comes back
+      if (online) {
+        scheduleReconnect(relay);
+      }
+    },
+
+    /**
+     * Report that a relay sent its stored events, so the next drop starts the backoff over
+     * @param {string} relay Relay URL
+     */
+    connected(relay) {
+      attempts.delete(relay);
+    },
+
+    /**
+     * Check whether the environment reports the network as up
+     * @returns {boolean}
+     */
+    isOnline() {
+      return online;
+    },
+
+    /**
+     * Stop watching the environment and cancel pending reconnects
+     */
+    stop() {
+      stopped = true;
+      clearTimers();
+      unsubscribe();
+    },
+  };
+}
+
+export { createSupervisor, createBrowserEnvironment, createStaticEnvironment, defaultEnvironment };
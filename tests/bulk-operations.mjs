@@ -0,0 +1,112 @@
+// Import common test utilities
+import { setupTestEnvironment, logTestStart } from './common.mjs';
+
+// Import necessary tools
+import { generateSecretKey, getPublicKey } from 'nostr-tools/pure';
+import * as nip19 from 'nostr-tools/nip19';
+import { createStore } from '../index.js';
+import assert from 'node:assert/strict'; // Import assert
+
+// Test configuration
+const TEST_NAMESPACE = 'bulk-test-' + Math.floor(Math.random() * 1000000);
+
+// Setup test environment
+const { relayURLs, mockRelays } = setupTestEnvironment();
+
+// Use console.log for test output
+const log = console.log.bind(console);
+
+async function runTest() {
+  logTestStart(import.meta.url); // Log the start of the test
+  log(`Starting bulk operations test with namespace: ${TEST_NAMESPACE}`);
+
+  const kvNsec = nip19.nsecEncode(generateSecretKey());
+  const authSecretKey1 = generateSecretKey();
+  const authPubkey1 = getPublicKey(authSecretKey1);
+
+  const store1 = createStore({
+    namespace: TEST_NAMESPACE,
+    authNsec: nip19.nsecEncode(authSecretKey1),
+    kvNsec,
+    relays: relayURLs,
+    dbName: `client1-${TEST_NAMESPACE}`,
+    debounce: 200,
+  });
+
+  const store2 = createStore({
+    namespace: TEST_NAMESPACE,
+    kvNsec,
+    relays: relayURLs,
+    dbName: `client2-${TEST_NAMESPACE}`,
+  });
+
+  // Count the events client 1 has published (only possible with mock relays)
+  const publishedCount = () => mockRelays.length ?
+    mockRelays[0].preloadedEvents.filter(e => e.kind === 30078 && e.pubkey === authPubkey1).length :
+    null;
+
+  const received = new Map();
+  store2.onChange((key, value) => received.set(key, value));
+
+  try {
+    log("\n--- Testing setMany ---");
+    const batch = [['alpha', 1], ['beta', { b: 2 }], ['gamma', [3]]];
+    await store1.setMany(batch);
+    assert.strictEqual(await store1.sync(), true, "❌ setMany failed to publish");
+
+    assert.deepStrictEqual(await store1.getMany(['alpha', 'beta', 'gamma', 'missing']), [1, { b: 2 }, [3], undefined], "❌ getMany returned the wrong values");
+    log("✅ getMany returns the values written by setMany");
+
+    if (mockRelays.length) {
+      assert.strictEqual(publishedCount(), 1, `❌ Expected one publish for the batch, got ${publishedCount()}`);
+      log("✅ setMany published exactly one event");
+    }
+
+    log("\n--- Testing listKeys and entries ---");
+    await store1.set('delta', 'four');
+    await store1.del('delta');
+    await store1.sync();
+
+    const keys = (await store1.listKeys()).sort();
+    assert.deepStrictEqual(keys, ['alpha', 'beta', 'gamma'], "❌ listKeys should hide meta keys and deleted keys");
+    log("✅ listKeys hides meta keys and tombstones");
+
+    const entries = (await store1.entries()).sort(([a], [b]) => a.localeCompare(b));
+    assert.deepStrictEqual(entries, [['alpha', 1], ['beta', { b: 2 }], ['gamma', [3]]], "❌ entries returned the wrong pairs");
+    log("✅ entries returns [key, value] pairs");
+
+    log("\n--- Testing delMany ---");
+    const before = publishedCount();
+    await store1.delMany(['alpha', 'beta']);
+    await store1.sync();
+    assert.deepStrictEqual(await store1.listKeys(), ['gamma'], "❌ delMany did not delete the keys");
+    if (mockRelays.length) {
+      assert.strictEqual(publishedCount(), before + 1, "❌ delMany should publish exactly one event");
+    }
+    log("✅ delMany deleted both keys with one publish");
+
+    log("\n--- Testing clear ---");
+    await store1.clear();
+    await store1.sync();
+    assert.deepStrictEqual(await store1.entries(), [], "❌ clear left entries behind");
+    log("✅ clear removed every entry");
+
+    // Wait for client 2 to catch up with the deletions
+    await new Promise(resolve => setTimeout(resolve, 1000));
+    assert.deepStrictEqual(await store2.listKeys(), [], "❌ Client 2 still has keys after clear");
+    assert.ok(received.has('gamma') && received.get('gamma') === undefined, "❌ Client 2 was not notified of the cleared key");
+    log("✅ clear propagated to client 2");
+
+    log("\n--- Test completed ---");
+  } finally {
+    await store1.close();
+    await store2.close();
+    log("Test completed, connections closed.");
+  }
+}
+
+// Run the test
+runTest().catch(err => {
+  console.error("Fatal error:", err);
+  process.exit(1);
+});
@@ -10,6 +10,7 @@ import { Server } from 'mock-socket';
 import debug from 'debug';
 import path from 'node:path'; // Import path for filename logic
 import { fileURLToPath } from 'node:url'; // Import fileURLToPath for filename logic
+import { createStore, createMemoryStorage } from '../index.js';
 
 // catch any uncaught errors or promise errors and print them
 // Catch any uncaught exceptions
@@ -130,6 +131,13 @@ export class MockRelay {
             // Store the event for future subscribers
             this.preloadedEvents.push(event);
 
+            // Honor deletion requests (NIP-09) for the author's own events
+            if (event.kind === 5) {
+              const deleted = event.tags.filter(tag => tag[0] === 'e').map(tag => tag[1]);
+              this.preloadedEvents = this.preloadedEvents.filter(stored =>
+                stored.pubkey !== event.pubkey || !deleted.includes(stored.id));
+            }
+
             // Broadcast to ALL subscriptions across ALL connections
             let broadcastCount = 0;
 
@@ -281,3 +289,74 @@ export function logTestStart(importMetaUrl) {
   const currentFileName = path.basename(__filename);
   console.log(`\n--- Running test: ${currentFileName} ---`);
 }
+
+/**
+ * Wait until check() returns (or resolves to) a truthy value
+ * @param {Function} check - Condition to poll every 100ms.
+ * @param {string} message - Error message if the condition isn't met in time.
+ * @param {number} [timeout] - Time to wait in ms (default: 10000).
+ */
+export async function waitFor(check, message, timeout = 10000) {
+  const start = Date.now();
+  const pause = () => new Promise(resolve => setTimeout(resolve, 100));
+  while (!(await check())) {
+    if (Date.now() - start > timeout) {
+      throw new Error(message);
+    }
+    await pause();
+  }
+}
+
+/**
+ * Open stores that share options and keep track of them, so a test can close them all
+ * Stores opened without storage or dbName get their own memory storage.
+ * @param {Object} defaults - createStore options shared by every store.
+ * @returns {Object} open(options) to create a store, the stores opened so far and closeAll()
+ */
+export function createStoreFactory(defaults) {
+  const stores = [];
+  return {
+    stores,
+    open(options = {}) {
+      const storeOptions = Object.assign({}, defaults, options);
+      if (!storeOptions.storage && !storeOptions.dbName) {
+        storeOptions.storage = createMemoryStorage();
+      }
+      const store = createStore(storeOptions);
+      stores.push(store);
+      return store;
+    },
+    async closeAll() {
+      for (const store of stores) {
+        await store.close();
+      }
+    },
+  };
+}
+
+/**
+ * Create a store environment whose network and visibility changes are made by the test
+ * Call emit('online' | 'offline' | 'visible' | 'hidden') to report a change.
+ * @returns {Object} Environment for createStore's environment option
+ */
+export function createTestEnvironment() {
+  const listeners = [];
+  let online = true;
+  let visible = true;
+  return {
+    isOnline: () => online,
+    isVisible: () => visible,
+    subscribe(listener) {
+      listeners.push(listener);
+      return () => listeners.splice(listeners.indexOf(listener), 1);
+    },
+    emit(change) {
+      if (change === 'online' || change === 'offline') {
+        online = change === 'online';
+      } else {
+        visible = change === 'visible';
+      }
+      listeners.slice().forEach(listener => listener(change));
+    },
+  };
+}
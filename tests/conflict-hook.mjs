@@ -0,0 +1,109 @@
+// Import common test utilities
+import { setupTestEnvironment, logTestStart, waitFor, createStoreFactory } from './common.mjs';
+
+// Import necessary tools
+import { generateSecretKey } from 'nostr-tools/pure';
+import * as nip19 from 'nostr-tools/nip19';
+import assert from 'node:assert/strict'; // Import assert
+
+// Test configuration
+const TEST_NAMESPACE = 'conflict-hook-test-' + Math.floor(Math.random() * 1000000);
+
+// Setup test environment
+const { relayURLs } = setupTestEnvironment();
+
+// Use console.log for test output
+const log = console.log.bind(console);
+
+async function runTest() {
+  logTestStart(import.meta.url); // Log the start of the test
+  log(`Starting conflict hook test with namespace: ${TEST_NAMESPACE}`);
+
+  const kvNsec = nip19.nsecEncode(generateSecretKey());
+  const { open, stores, closeAll } = createStoreFactory({
+    namespace: TEST_NAMESPACE,
+    kvNsec,
+    relays: relayURLs,
+    debounce: 100,
+  });
+
+  const resolvers = { 'cart': (local, remote) => [...new Set([...(local || []), ...(remote || [])])].sort() };
+  const phone = open({ resolvers });
+  const laptop = open({ resolvers });
+
+  const phoneConflicts = [];
+  const laptopConflicts = [];
+  phone.onConflict(conflict => phoneConflicts.push(conflict));
+  const stopLaptop = laptop.onConflict(conflict => laptopConflicts.push(conflict));
+
+  try {
+    await Promise.all(stores.map(store => store.sync()));
+
+    log("\n--- Concurrent writes are reported on both devices ---");
+    await Promise.all([
+      phone.set('theme', 'dark'),
+      laptop.set('theme', 'light'),
+    ]);
+    await waitFor(() => phoneConflicts.length > 0 && laptopConflicts.length > 0, "❌ Conflict was not reported on both devices");
+
+    const [onPhone] = phoneConflicts;
+    const [onLaptop] = laptopConflicts;
+    assert.strictEqual(onPhone.key, 'theme', "❌ Conflict should name the key");
+    assert.strictEqual(onPhone.local.value, 'dark', "❌ Conflict should carry the local value");
+    assert.strictEqual(onPhone.remote.value, 'light', "❌ Conflict should carry the remote value");
+    assert.ok(onPhone.local.meta.hlc && onPhone.remote.meta.hlc, "❌ Conflict should carry both stamps");
+    assert.strictEqual(onPhone.writer, nip19.decode(laptop.keys().auth.npub).data, "❌ Conflict should name the remote writer");
+    assert.deepStrictEqual([onPhone.winner, onLaptop.winner].sort(), ['local', 'remote'], "❌ The devices should agree on the winner");
+
+    const winner = onPhone.winner === 'local' ? 'dark' : 'light';
+    await waitFor(async () => await phone.get('theme') === winner && await laptop.get('theme') === winner, "❌ The winner was not applied");
+    log("✅ Both devices report the conflict and agree on the winner");
+
+    log("\n--- Sequential writes are not conflicts ---");
+    phoneConflicts.length = 0;
+    laptopConflicts.length = 0;
+    await phone.set('volume', 3);
+    await waitFor(async () => await laptop.get('volume') === 3, "❌ Laptop did not receive the volume");
+    await laptop.set('volume', 5);
+    await waitFor(async () => await phone.get('volume') === 5, "❌ Phone did not receive the update");
+    await phone.set('volume', 5);
+    await new Promise(resolve => setTimeout(resolve, 500));
+    assert.strictEqual(phoneConflicts.length + laptopConflicts.length, 0, "❌ A write made after seeing the other side is not a conflict");
+    log("✅ Updates made after seeing the other side are not reported");
+
+    log("\n--- Merged conflicts ---");
+    // Whichever device merges first publishes the result, the other may then just take it
+    const next = Promise.race([phone.onConflict(), laptop.onConflict()]);
+    await Promise.all([
+      phone.set('cart', ['apple']),
+      laptop.set('cart', ['bread']),
+    ]);
+    const merged = await next;
+    assert.strictEqual(merged.winner, 'merged', "❌ A resolved conflict should be reported as merged");
+    assert.deepStrictEqual(merged.merged, ['apple', 'bread'], "❌ A merged conflict should carry the merged value");
+    log("✅ Conflicts settled by a resolver are reported with the merged value");
+
+    log("\n--- Removing the listener ---");
+    stopLaptop();
+    laptopConflicts.length = 0;
+    await Promise.all([
+      phone.set('font', 'serif'),
+      laptop.set('font', 'sans'),
+    ]);
+    await waitFor(async () => await phone.get('font') === await laptop.get('font'), "❌ Devices did not agree on the font");
+    await new Promise(resolve => setTimeout(resolve, 500));
+    assert.strictEqual(laptopConflicts.length, 0, "❌ A removed listener was still called");
+    log("✅ Removed listeners are not called");
+
+    log("\n--- Test completed ---");
+  } finally {
+    await closeAll();
+    log("Test completed, connections closed.");
+  }
+}
+
+// Run the test
+runTest().catch(err => {
+  console.error("Fatal error:", err);
+  process.exit(1);
+});
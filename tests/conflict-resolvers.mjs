@@ -0,0 +1,121 @@
+// Import common test utilities
+import { setupTestEnvironment, logTestStart, waitFor, createStoreFactory } from './common.mjs';
+
+// Import necessary tools
+import { generateSecretKey } from 'nostr-tools/pure';
+import * as nip19 from 'nostr-tools/nip19';
+import assert from 'node:assert/strict'; // Import assert
+
+// Test configuration
+const TEST_NAMESPACE = 'conflict-resolvers-test-' + Math.floor(Math.random() * 1000000);
+
+// Setup test environment
+const { relayURLs } = setupTestEnvironment();
+
+// Use console.log for test output
+const log = console.log.bind(console);
+
+async function runTest() {
+  logTestStart(import.meta.url); // Log the start of the test
+  log(`Starting conflict resolvers test with namespace: ${TEST_NAMESPACE}`);
+
+  const kvNsec = nip19.nsecEncode(generateSecretKey());
+  const calls = [];
+  const resolvers = {
+    'cart': (local, remote, meta) => {
+      calls.push(meta);
+      return [...new Set([...(local || []), ...(remote || [])])].sort();
+    },
+    'score:*': (local, remote) => Math.max(local || 0, remote || 0),
+    'score:reset': () => 0,
+    'note': (local, remote, meta) => {
+      calls.push(meta);
+      return remote;
+    },
+  };
+
+  const { open, stores, closeAll } = createStoreFactory({
+    namespace: TEST_NAMESPACE,
+    kvNsec,
+    relays: relayURLs,
+    debounce: 100,
+  });
+
+  const phone = open({ resolvers });
+  const laptop = open({ resolvers });
+  const observer = open();
+
+  try {
+    await Promise.all(stores.map(store => store.sync()));
+
+    log("\n--- Concurrent writes are merged ---");
+    const changes = [];
+    phone.onChange((key, value) => changes.push({ key, value }));
+
+    await Promise.all([
+      phone.set('cart', ['apple', 'milk']),
+      laptop.set('cart', ['bread']),
+    ]);
+
+    const merged = ['apple', 'bread', 'milk'];
+    const hasMerged = (store) => async () => JSON.stringify(await store.get('cart')) === JSON.stringify(merged);
+    await waitFor(hasMerged(phone), "❌ Phone did not merge the cart");
+    await waitFor(hasMerged(laptop), "❌ Laptop did not merge the cart");
+    await waitFor(hasMerged(observer), "❌ The merged cart was not published");
+    log("✅ Both devices and an observer without resolvers end up with the merged value");
+
+    assert.ok(changes.some(({ key, value }) => key === 'cart' && JSON.stringify(value) === JSON.stringify(merged)), "❌ onChange was not told about the merged value");
+    log("✅ The merged value is announced via onChange");
+
+    const meta = calls.find(call => call.key === 'cart');
+    assert.ok(meta.writer, "❌ The resolver should be told who wrote the remote value");
+    assert.ok(meta.local.hlc && meta.remote.hlc && meta.local.hlc !== meta.remote.hlc, "❌ The resolver should get both stamps");
+    log("✅ The resolver receives the key, writer and both stamps");
+
+    await new Promise(resolve => setTimeout(resolve, 1000));
+    assert.ok(calls.filter(call => call.key === 'cart').length <= 2, "❌ Each device should resolve one conflicting write once");
+    log("✅ The merges each device publishes are not resolved again");
+
+    log("\n--- Prefix resolvers ---");
+    await Promise.all([
+      phone.set('score:level1', 30),
+      laptop.set('score:level1', 12),
+      phone.set('score:reset', 5),
+      laptop.set('score:reset', 7),
+    ]);
+    await waitFor(async () => await phone.get('score:level1') === 30 && await laptop.get('score:level1') === 30, "❌ Prefix resolver was not used");
+    await waitFor(async () => await phone.get('score:reset') === 0 && await laptop.get('score:reset') === 0, "❌ Exact key should beat the prefix resolver");
+    log("✅ Prefixes match and an exact key beats a prefix");
+
+    log("\n--- Sequential writes skip the resolver ---");
+    calls.length = 0;
+    await phone.set('note', 'first');
+    await waitFor(async () => await laptop.get('note') === 'first', "❌ Laptop did not receive the note");
+    await laptop.set('note', 'second');
+    await waitFor(async () => await phone.get('note') === 'second', "❌ Phone did not receive the update");
+    assert.strictEqual(calls.filter(call => call.key === 'note').length, 0, "❌ The resolver should only run when both sides changed");
+    log("✅ An update made after seeing the other side is applied without the resolver");
+
+    log("\n--- Keys without a resolver ---");
+    await Promise.all([
+      phone.set('theme', 'dark'),
+      laptop.set('theme', 'light'),
+    ]);
+    await waitFor(async () => {
+      const [a, b] = [await phone.get('theme'), await laptop.get('theme')];
+      return a !== undefined && a === b;
+    }, "❌ Devices did not agree on a key without a resolver");
+    log("✅ Keys without a resolver still use last write wins");
+
+    log("\n--- Test completed ---");
+  } finally {
+    await closeAll();
+    log("Test completed, connections closed.");
+  }
+}
+
+// Run the test
+runTest().catch(err => {
+  console.error("Fatal error:", err);
+  process.exit(1);
+});
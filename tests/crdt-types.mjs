@@ -0,0 +1,129 @@
+// Import common test utilities
+import { setupTestEnvironment, logTestStart, waitFor, createStoreFactory } from './common.mjs';
+
+// Import necessary tools
+import { generateSecretKey } from 'nostr-tools/pure';
+import * as nip19 from 'nostr-tools/nip19';
+import { createMemoryStorage } from '../index.js';
+import { emptyCrdt, crdtValue, mergeCrdt, sameCrdt, counterAdd, setAdd, setRemove } from '../crdt.js';
+import assert from 'node:assert/strict'; // Import assert
+
+// Test configuration
+const TEST_NAMESPACE = 'crdt-types-test-' + Math.floor(Math.random() * 1000000);
+
+// Setup test environment
+const { relayURLs } = setupTestEnvironment();
+
+// Use console.log for test output
+const log = console.log.bind(console);
+
+async function runTest() {
+  logTestStart(import.meta.url); // Log the start of the test
+  log(`Starting CRDT types test with namespace: ${TEST_NAMESPACE}`);
+
+  log("\n--- Merging states ---");
+  const a = counterAdd(counterAdd(emptyCrdt('pncounter'), 'a', 5), 'a', -2);
+  const b = counterAdd(emptyCrdt('pncounter'), 'b', 4);
+  assert.ok(sameCrdt(mergeCrdt(a, b), mergeCrdt(b, a)), "❌ Merging should not depend on the order");
+  assert.ok(sameCrdt(mergeCrdt(a, mergeCrdt(a, b)), mergeCrdt(a, b)), "❌ Merging the same state twice should change nothing");
+  assert.strictEqual(crdtValue(mergeCrdt(a, b)), 7, "❌ Counter totals from both nodes should add up");
+
+  const added = setAdd(emptyCrdt('orset'), 'x', 'tag1');
+  const removed = setRemove(added, 'x');
+  const readded = setAdd(added, 'x', 'tag2');
+  assert.deepStrictEqual(crdtValue(mergeCrdt(removed, readded)), ['x'], "❌ A concurrent add should survive a remove");
+  assert.deepStrictEqual(crdtValue(mergeCrdt(removed, added)), [], "❌ A remove should win over the add it saw");
+  assert.strictEqual(mergeCrdt(a, added), null, "❌ States of different types should not merge");
+  log("✅ Merges are order independent, idempotent and keep concurrent adds");
+
+  const kvNsec = nip19.nsecEncode(generateSecretKey());
+  const { open, stores, closeAll } = createStoreFactory({
+    namespace: TEST_NAMESPACE,
+    kvNsec,
+    relays: relayURLs,
+    debounce: 100,
+  });
+
+  const phone = open();
+  const laptop = open();
+
+  try {
+    await Promise.all(stores.map(store => store.sync()));
+
+    log("\n--- Counters ---");
+    await Promise.all([
+      phone.counter('likes').increment(3),
+      laptop.counter('likes').increment(2),
+      laptop.counter('likes').decrement(),
+    ]);
+    await waitFor(async () => await phone.counter('likes').value() === 4 && await laptop.counter('likes').value() === 4,
+      "❌ Concurrent increments were not added up");
+    assert.strictEqual(await phone.get('likes'), 4, "❌ get() should return the counter's value");
+    log("✅ Concurrent increments and decrements from both devices add up");
+
+    const tabletStorage = createMemoryStorage();
+    const tablet = open({ storage: tabletStorage });
+    await tablet.counter('visits').increment();
+    await tablet.sync();
+    await tablet.close();
+    const reopened = open({ storage: tabletStorage });
+    await reopened.counter('visits').increment();
+    assert.strictEqual(await reopened.counter('visits').value(), 2, "❌ Counter lost an increment across sessions");
+    const { value: state } = await tabletStorage.get('visits');
+    assert.strictEqual(Object.keys(state.p).length, 1, "❌ Each session added its own counter total");
+    log("✅ A device keeps one counter total across sessions");
+
+    log("\n--- Sets ---");
+    await phone.orSet('tags').add('work');
+    await waitFor(async () => await laptop.orSet('tags').has('work'), "❌ Laptop did not receive the tag");
+
+    await Promise.all([
+      phone.orSet('tags').remove('work'),
+      phone.orSet('tags').add('home'),
+      laptop.orSet('tags').add('urgent'),
+    ]);
+    const expected = JSON.stringify(['home', 'urgent']);
+    await waitFor(async () => JSON.stringify((await phone.orSet('tags').values()).sort()) === expected &&
+      JSON.stringify((await laptop.orSet('tags').values()).sort()) === expected, "❌ Concurrent set changes were not merged");
+    log("✅ Adds and removes from both devices are merged");
+
+    await Promise.all([
+      phone.orSet('tags').remove('home'),
+      laptop.orSet('tags').add('home'),
+    ]);
+    await waitFor(async () => await phone.orSet('tags').has('home') && await laptop.orSet('tags').has('home'),
+      "❌ An add should survive a concurrent remove");
+    log("✅ An add survives a concurrent remove of the same item");
+
+    log("\n--- Maps ---");
+    await Promise.all([
+      phone.lwwMap('settings').set('theme', 'dark'),
+      laptop.lwwMap('settings').set('fontSize', 14),
+    ]);
+    const settings = JSON.stringify({ fontSize: 14, theme: 'dark' });
+    await waitFor(async () => JSON.stringify(await phone.get('settings')) === settings &&
+      JSON.stringify(await laptop.get('settings')) === settings, "❌ Fields changed on different devices were not both kept");
+    log("✅ Fields changed on different devices are both kept");
+
+    await laptop.lwwMap('settings').delete('theme');
+    await waitFor(async () => await phone.lwwMap('settings').get('theme') === undefined, "❌ Deleted field was not removed");
+    assert.strictEqual(await phone.lwwMap('settings').get('fontSize'), 14, "❌ Deleting a field changed another field");
+    log("✅ Deleting a field leaves the others alone");
+
+    log("\n--- Replacing a CRDT value ---");
+    await phone.set('likes', 'plain');
+    await waitFor(async () => await laptop.get('likes') === 'plain', "❌ A plain value should replace a counter");
+    log("✅ set() replaces a CRDT value with a plain one");
+
+    log("\n--- Test completed ---");
+  } finally {
+    await closeAll();
+    log("Test completed, connections closed.");
+  }
+}
+
+// Run the test
+runTest().catch(err => {
+  console.error("Fatal error:", err);
+  process.exit(1);
+});
@@ -0,0 +1,184 @@
+// Import common test utilities
+import { setupTestEnvironment, logTestStart, waitFor, MockRelay, createStoreFactory } from './common.mjs';
+
+// Import necessary tools
+import { finalizeEvent, generateSecretKey, getPublicKey } from 'nostr-tools/pure';
+import * as nip19 from 'nostr-tools/nip19';
+import * as nip44 from 'nostr-tools/nip44';
+import { acceptInvite } from '../index.js';
+import { decodeInvite } from '../invite.js';
+import assert from 'node:assert/strict'; // Import assert
+
+// Test configuration
+const TEST_NAMESPACE = 'device-registry-test-' + Math.floor(Math.random() * 1000000);
+
+// Setup test environment
+const { relayURLs, mockRelays } = setupTestEnvironment();
+
+// Use console.log for test output
+const log = console.log.bind(console);
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+async function runTest() {
+  logTestStart(import.meta.url); // Log the start of the test
+  log(`Starting device registry test with namespace: ${TEST_NAMESPACE}`);
+
+  const kvSecretKey = generateSecretKey();
+  const kvNsec = nip19.nsecEncode(kvSecretKey);
+  const laptopSecretKey = generateSecretKey();
+
+  const { open, stores, closeAll } = createStoreFactory({
+    namespace: TEST_NAMESPACE,
+    kvNsec,
+    relays: relayURLs,
+    debounce: 100,
+  });
+
+  const owner = open({ dbName: `owner-${TEST_NAMESPACE}` });
+  const laptop = open({ dbName: `laptop-${TEST_NAMESPACE}`, authNsec: nip19.nsecEncode(laptopSecretKey) });
+  const stranger = open({ dbName: `stranger-${TEST_NAMESPACE}` });
+
+  try {
+    log("\n--- Without a registry every writer is accepted ---");
+    assert.deepStrictEqual(await owner.listDevices(), [], "❌ Registry should start empty");
+    const first = owner.onChange();
+    await stranger.set('before-registry', 1);
+    await stranger.sync();
+    assert.strictEqual((await first).key, 'before-registry', "❌ Writes should be accepted while there is no registry");
+    log("✅ Writes from any device are accepted while the registry is empty");
+
+    log("\n--- Registering a device ---");
+    await owner.addDevice(laptop.keys().auth.npub, { label: 'Laptop' });
+    await owner.sync();
+
+    const devices = await owner.listDevices();
+    assert.strictEqual(devices.length, 2, "❌ Adding the first device should also register this device");
+    const self = devices.find(device => device.thisDevice);
+    assert.strictEqual(self.npub, owner.keys().auth.npub, "❌ This device was not registered");
+    const registered = devices.find(device => device.npub === laptop.keys().auth.npub);
+    assert.strictEqual(registered.label, 'Laptop', "❌ Device label was not stored");
+    assert.strictEqual(registered.revokedAt, null, "❌ New device should not be revoked");
+    log("✅ addDevice registered the device and this device");
+
+    assert.ok(!(await owner.listKeys()).some(key => key.startsWith('_nkv')), "❌ Registry keys should be hidden from listKeys");
+    log("✅ Registry entries are hidden from listKeys");
+
+    await sleep(1000);
+    assert.strictEqual((await laptop.listDevices()).length, 2, "❌ Registry was not synced to the laptop");
+    log("✅ The registry is synced to other devices");
+
+    log("\n--- Unknown devices are ignored ---");
+    await stranger.set('from-stranger', 'ignored');
+    await stranger.sync();
+    const fromLaptop = owner.onChange();
+    await laptop.set('from-laptop', 'accepted');
+    await laptop.sync();
+    assert.strictEqual((await fromLaptop).key, 'from-laptop', "❌ Write from a registered device was not applied");
+    assert.strictEqual(await owner.get('from-stranger'), undefined, "❌ Write from an unknown device was applied");
+    log("✅ Registered devices are accepted and unknown devices ignored");
+
+    log("\n--- Approving a device after its first publish ---");
+    const newcomer = open({ dbName: `newcomer-${TEST_NAMESPACE}` });
+    await newcomer.set('from-newcomer', 'waiting');
+    await newcomer.sync();
+    await sleep(1000);
+    assert.strictEqual(await owner.get('from-newcomer'), undefined, "❌ Write from a device that isn't registered yet was applied");
+    await owner.addDevice(newcomer.keys().auth.npub, { label: 'Newcomer' });
+    await owner.sync();
+    await waitFor(async () => await owner.get('from-newcomer') === 'waiting' && await laptop.get('from-newcomer') === 'waiting',
+      "❌ Earlier writes from a device were not applied once it was added");
+    log("✅ A device's earlier writes are applied once it is added to the registry");
+
+    log("\n--- Inviting a device registers it ---");
+    const invite = await owner.createInvite({ label: 'Phone' });
+    const phone = acceptInvite(invite, { dbName: `phone-${TEST_NAMESPACE}`, debounce: 100 });
+    stores.push(phone);
+    assert.ok((await owner.listDevices()).some(device => device.npub === phone.keys().auth.npub && device.label === 'Phone'),
+      "❌ Invited device was not registered");
+    await owner.sync();
+
+    const fromPhone = owner.onChange();
+    await phone.set('from-phone', 'accepted');
+    await phone.sync();
+    assert.strictEqual((await fromPhone).key, 'from-phone', "❌ Write from an invited device was not applied");
+    log("✅ Invited devices are registered with the auth key from the invite");
+
+    log("\n--- Expiring invites ---");
+    const expiresAt = Date.now() + 2000;
+    const unused = decodeInvite(await owner.createInvite({ expiresIn: 2000 }));
+    const tablet = acceptInvite(await owner.createInvite({ expiresIn: 2000, label: 'Tablet' }), { dbName: `tablet-${TEST_NAMESPACE}`, debounce: 100 });
+    stores.push(tablet);
+    await owner.sync();
+    const ownerEntry = async (npub) => (await owner.listDevices()).find(device => device.npub === npub);
+    assert.ok((await ownerEntry(nip19.npubEncode(getPublicKey(nip19.decode(unused.authNsec).data)))).expiresAt > 0,
+      "❌ A device from an expiring invite should be registered with the expiry");
+    await waitFor(async () => (await ownerEntry(tablet.keys().auth.npub)).expiresAt === null, "❌ The invited device did not confirm its registration");
+    log("✅ A device started from an expiring invite confirms its registration");
+
+    await sleep(expiresAt - Date.now() + 500);
+    const late = open({ dbName: `late-${TEST_NAMESPACE}`, authNsec: unused.authNsec });
+    await late.set('from-unused-invite', 'ignored');
+    await late.sync();
+    const fromTablet = owner.onChange();
+    await tablet.set('from-tablet', 'accepted');
+    await tablet.sync();
+    assert.strictEqual((await fromTablet).key, 'from-tablet', "❌ Write from a confirmed device was not applied after the invite expired");
+    await sleep(1000);
+    assert.strictEqual(await owner.get('from-unused-invite'), undefined, "❌ Write with the key from an expired, unused invite was applied");
+    log("✅ The key from an unused invite is refused once the invite expires");
+
+    log("\n--- Revoking a device ---");
+    await owner.revokeDevice(laptop.keys().auth.npub);
+    await owner.sync();
+    const revoked = (await owner.listDevices()).find(device => device.npub === laptop.keys().auth.npub);
+    assert.ok(revoked.revokedAt > 0, "❌ Revoked device has no revokedAt time");
+
+    await sleep(1000);
+    await laptop.set('after-revoke', 'ignored');
+    await laptop.sync();
+    await sleep(1000);
+    assert.strictEqual(await owner.get('after-revoke'), undefined, "❌ Write from a revoked device was applied");
+    assert.strictEqual(await phone.get('after-revoke'), undefined, "❌ Other devices applied a write from a revoked device");
+    log("✅ Events from revoked devices are ignored");
+
+    if (mockRelays.length) {
+      log("\n--- A revoked device can't reinstate itself ---");
+      // The laptop registers itself again with a stamp far in the future, on a relay only a new device uses
+      const kvPubkey = getPublicKey(kvSecretKey);
+      const reinstated = {
+        [`_nkvsys_device:${getPublicKey(laptopSecretKey)}`]: {
+          value: { label: 'Laptop', addedAt: revoked.addedAt, revokedAt: null, expiresAt: null },
+          lastModified: Date.now() + 365 * 24 * 60 * 60 * 1000
+        },
+        'reinstated-write': { value: 'ignored', lastModified: Date.now() }
+      };
+      const attackRelay = new MockRelay();
+      attackRelay.preloadedEvents.push(finalizeEvent({
+        kind: 30078,
+        created_at: Math.floor(Date.now() / 1000),
+        tags: [["d", TEST_NAMESPACE], ["p", kvPubkey]],
+        content: nip44.encrypt(JSON.stringify(reinstated), nip44.getConversationKey(kvSecretKey, kvPubkey)),
+      }, laptopSecretKey));
+
+      const fresh = open({ dbName: `fresh-${TEST_NAMESPACE}`, relays: [attackRelay.url, ...relayURLs] });
+      await fresh.ready();
+      const entry = (await fresh.listDevices()).find(device => device.npub === laptop.keys().auth.npub);
+      assert.ok(entry && entry.revokedAt > 0, "❌ A revoked device reinstated itself on a new device");
+      assert.strictEqual(await fresh.get('reinstated-write'), undefined, "❌ A new device applied a write from a revoked device");
+      assert.strictEqual(await fresh.get('from-phone'), 'accepted', "❌ A new device did not apply writes from registered devices");
+      log("✅ A new device keeps a revoked device revoked when its event arrives first");
+    }
+
+    log("\n--- Test completed ---");
+  } finally {
+    await closeAll();
+    log("Test completed, connections closed.");
+  }
+}
+
+// Run the test
+runTest().catch(err => {
+  console.error("Fatal error:", err);
+  process.exit(1);
+});
@@ -0,0 +1,235 @@
+// Import common test utilities
+import { setupTestEnvironment, logTestStart } from './common.mjs';
+
+// Import necessary tools
+import { finalizeEvent, generateSecretKey, getPublicKey } from 'nostr-tools/pure';
+import { SimplePool } from 'nostr-tools/pool';
+import * as nip19 from 'nostr-tools/nip19';
+import * as nip44 from 'nostr-tools/nip44';
+import { createStore, createNip07Signer, createNip46Signer } from '../index.js';
+import assert from 'node:assert/strict'; // Import assert
+
+// Test configuration
+const TEST_NAMESPACE = 'external-signer-test-' + Math.floor(Math.random() * 1000000);
+
+// Setup test environment
+const { relayURLs, mockRelays } = setupTestEnvironment();
+
+// Use console.log for test output
+const log = console.log.bind(console);
+
+/**
+ * A mock of a NIP-07 extension that keeps its key to itself and counts signatures
+ */
+function createMockExtension({ withNip44 = true } = {}) {
+  const secretKey = generateSecretKey();
+  const extension = {
+    pubkey: getPublicKey(secretKey),
+    signed: 0,
+    async getPublicKey() {
+      return extension.pubkey;
+    },
+    async signEvent(eventTemplate) {
+      extension.signed++;
+      return finalizeEvent(eventTemplate, secretKey);
+    },
+  };
+  if (withNip44) {
+    extension.nip44 = {
+      async encrypt(pubkey, plaintext) {
+        return nip44.encrypt(plaintext, nip44.getConversationKey(secretKey, pubkey));
+      },
+      async decrypt(pubkey, ciphertext) {
+        return nip44.decrypt(ciphertext, nip44.getConversationKey(secretKey, pubkey));
+      },
+    };
+  }
+  return extension;
+}
+
+/**
+ * A mock NIP-46 remote signer (bunker) answering kind 24133 requests on a relay, with the
+ * user's key as its own. Records the methods it was asked for.
+ */
+function createMockBunker(relay) {
+  const secretKey = generateSecretKey();
+  const pubkey = getPublicKey(secretKey);
+  const secret = Math.random().toString(36).slice(2);
+  const pool = new SimplePool();
+  const conversationKey = (other) => nip44.getConversationKey(secretKey, other);
+
+  const handlers = {
+    connect: ([, given]) => {
+      if (given !== secret) throw new Error('invalid secret');
+      return 'ack';
+    },
+    ping: () => 'pong',
+    get_public_key: () => pubkey,
+    sign_event: ([template]) => JSON.stringify(finalizeEvent(JSON.parse(template), secretKey)),
+    nip44_encrypt: ([other, plaintext]) => nip44.encrypt(plaintext, conversationKey(other)),
+    nip44_decrypt: ([other, ciphertext]) => nip44.decrypt(ciphertext, conversationKey(other)),
+  };
+
+  const bunker = {
+    pubkey,
+    uri: `bunker://${pubkey}?relay=${encodeURIComponent(relay)}&secret=${secret}`,
+    requests: [],
+    close() {
+      subscription.close();
+      pool.close([relay]);
+    },
+  };
+
+  const subscription = pool.subscribeMany([relay], { kinds: [24133], '#p': [pubkey] }, {
+    onevent(event) {
+      const { id, method, params } = JSON.parse(nip44.decrypt(event.content, conversationKey(event.pubkey)));
+      bunker.requests.push(method);
+      let response;
+      try {
+        response = { id, result: handlers[method](params) };
+      } catch (error) {
+        response = { id, error: error.message };
+      }
+      pool.publish([relay], finalizeEvent({
+        kind: 24133,
+        created_at: Math.floor(Date.now() / 1000),
+        tags: [['p', event.pubkey]],
+        content: nip44.encrypt(JSON.stringify(response), conversationKey(event.pubkey)),
+      }, secretKey));
+    },
+  });
+  return bunker;
+}
+
+async function runTest() {
+  logTestStart(import.meta.url); // Log the start of the test
+  log(`Starting external signer test with namespace: ${TEST_NAMESPACE}`);
+
+  const kvNsec = nip19.nsecEncode(generateSecretKey());
+  const extension = createMockExtension();
+  const basicSigner = createMockExtension({ withNip44: false });
+
+  // Browsers expose the extension as window.nostr
+  globalThis.nostr = extension;
+
+  const signed = createStore({
+    namespace: TEST_NAMESPACE,
+    kvNsec,
+    relays: relayURLs,
+    dbName: `signed-${TEST_NAMESPACE}`,
+    signer: createNip07Signer(),
+  });
+
+  const listener = createStore({
+    namespace: TEST_NAMESPACE,
+    kvNsec,
+    relays: relayURLs,
+    dbName: `listener-${TEST_NAMESPACE}`,
+  });
+
+  // A bare signer object, passed as a promise like createNip46Signer() returns
+  const basic = createStore({
+    namespace: TEST_NAMESPACE,
+    kvNsec,
+    relays: relayURLs,
+    dbName: `basic-${TEST_NAMESPACE}`,
+    signer: Promise.resolve(basicSigner),
+  });
+
+  let bunker = null;
+  let remoteSigner = null;
+  let remote = null;
+
+  try {
+    log("\n--- Publishing with a NIP-07 signer ---");
+    const value = { message: 'Signed by the extension' };
+    await signed.set('signed-key', value);
+    const [synced, change] = await Promise.all([signed.sync(), listener.onChange()]);
+    assert.strictEqual(synced, true, "❌ Publishing with the signer failed");
+    assert.strictEqual(change.key, 'signed-key', `❌ Unexpected key received: ${change.key}`);
+    assert.deepStrictEqual(change.value, value, "❌ Listener received the wrong value");
+    assert.ok(extension.signed > 0, "❌ The extension was never asked to sign");
+    log("✅ Events signed by the extension are received by other devices");
+
+    if (mockRelays.length) {
+      const events = mockRelays[0].preloadedEvents.filter(e => e.kind === 30078 && e.pubkey === extension.pubkey);
+      assert.ok(events.length > 0, "❌ No events were published with the extension's public key");
+      log("✅ Published events carry the extension's public key");
+    }
+
+    const keys = signed.keys();
+    assert.strictEqual(keys.auth.npub, nip19.npubEncode(extension.pubkey), "❌ keys() should report the signer's npub");
+    assert.strictEqual(keys.auth.nsec, null, "❌ keys() can't know the signer's nsec");
+    log("✅ keys() reports the signer's npub and no auth nsec");
+
+    log("\n--- Publishing with a signer without NIP-44 ---");
+    await basic.set('basic-key', 'basic');
+    assert.strictEqual(await basic.sync(), true, "❌ Publishing with a basic signer failed");
+    assert.strictEqual(basicSigner.signed > 0, true, "❌ The basic signer was never asked to sign");
+    log("✅ A signer given as a promise is used once it resolves");
+
+    await assert.rejects(basic.rotateKey(), /NIP-44/, "❌ rotateKey should need a signer with NIP-44");
+    log("✅ rotateKey is refused without NIP-44 support");
+
+    log("\n--- Invalid signers ---");
+    const invalid = createStore({
+      namespace: TEST_NAMESPACE,
+      kvNsec,
+      relays: relayURLs,
+      dbName: `invalid-${TEST_NAMESPACE}`,
+      signer: {},
+    });
+    await assert.rejects(invalid.sync(), /Signer must implement/, "❌ An invalid signer should be refused");
+    log("✅ Signers without getPublicKey and signEvent are refused");
+
+    delete globalThis.nostr;
+    assert.throws(() => createNip07Signer(), /No NIP-07 extension/, "❌ Missing extension should be reported");
+    log("✅ createNip07Signer reports a missing extension");
+
+    log("\n--- Publishing with a NIP-46 remote signer ---");
+    bunker = createMockBunker(relayURLs[0]);
+    remoteSigner = await createNip46Signer(bunker.uri);
+    assert.ok(bunker.requests.includes('connect'), "❌ createNip46Signer did not connect to the remote signer");
+    log("✅ createNip46Signer connects to the remote signer with the secret from the bunker URI");
+
+    remote = createStore({
+      namespace: TEST_NAMESPACE,
+      kvNsec,
+      relays: relayURLs,
+      dbName: `remote-${TEST_NAMESPACE}`,
+      signer: remoteSigner,
+    });
+    await remote.set('remote-key', 'signed remotely');
+    const [remoteSynced, remoteChange] = await Promise.all([remote.sync(), listener.onChange()]);
+    assert.strictEqual(remoteSynced, true, "❌ Publishing with the remote signer failed");
+    assert.strictEqual(remoteChange.key, 'remote-key', `❌ Unexpected key received: ${remoteChange.key}`);
+    assert.ok(bunker.requests.includes('sign_event'), "❌ The remote signer was never asked to sign");
+    assert.strictEqual(remote.keys().auth.npub, nip19.npubEncode(bunker.pubkey), "❌ keys() should report the remote signer's npub");
+    log("✅ Events signed by the remote signer are received by other devices");
+
+    const otherSecretKey = generateSecretKey();
+    const otherPubkey = getPublicKey(otherSecretKey);
+    const otherConversationKey = nip44.getConversationKey(otherSecretKey, bunker.pubkey);
+    const ciphertext = await remoteSigner.nip44.encrypt(otherPubkey, 'to the other device');
+    assert.strictEqual(nip44.decrypt(ciphertext, otherConversationKey), 'to the other device', "❌ nip44.encrypt through the remote signer failed");
+    const reply = nip44.encrypt('to the remote signer', otherConversationKey);
+    assert.strictEqual(await remoteSigner.nip44.decrypt(otherPubkey, reply), 'to the remote signer', "❌ nip44.decrypt through the remote signer failed");
+    log("✅ NIP-44 encryption and decryption go through the remote signer");
+
+    log("\n--- Test completed ---");
+  } finally {
+    await signed.close();
+    await listener.close();
+    await basic.close();
+    if (remote) await remote.close();
+    if (remoteSigner) await remoteSigner.close();
+    if (bunker) bunker.close();
+    log("Test completed, connections closed.");
+  }
+}
+
+// Run the test
+runTest().catch(err => {
+  console.error("Fatal error:", err);
+  process.exit(1);
+});
@@ -0,0 +1,109 @@
+// Import common test utilities
+import { setupTestEnvironment, logTestStart } from './common.mjs';
+
+// Import necessary tools
+import { finalizeEvent, generateSecretKey, getPublicKey } from 'nostr-tools/pure';
+import * as nip19 from 'nostr-tools/nip19';
+import * as nip44 from 'nostr-tools/nip44';
+import { SimplePool } from 'nostr-tools/pool';
+import { createStore, createMemoryStorage } from '../index.js';
+import { createClock, parseStamp, legacyStamp } from '../hlc.js';
+import assert from 'node:assert/strict'; // Import assert
+
+// Test configuration
+const TEST_NAMESPACE = 'hybrid-clock-test-' + Math.floor(Math.random() * 1000000);
+
+// Setup test environment
+const { relayURLs } = setupTestEnvironment();
+
+// Use console.log for test output
+const log = console.log.bind(console);
+
+async function runTest() {
+  logTestStart(import.meta.url); // Log the start of the test
+  log(`Starting hybrid logical clock test with namespace: ${TEST_NAMESPACE}`);
+
+  log("\n--- Clock stamps ---");
+  let wallTime = 1700000000000;
+  const clock = createClock('aaaa', () => wallTime);
+  const first = clock.now();
+  wallTime -= 5000; // The wall clock jumps backwards
+  const second = clock.now();
+  assert.ok(second > first, "❌ Stamps should keep increasing when the wall clock goes backwards");
+  assert.strictEqual(parseStamp(second).time, parseStamp(first).time, "❌ A stamp should not move back in time");
+  log("✅ Stamps increase even when the wall clock goes backwards");
+
+  const remote = createClock('bbbb', () => 1700000060000).now();
+  clock.receive(remote);
+  assert.ok(clock.now() > remote, "❌ A stamp made after receiving should be later than the received stamp");
+  log("✅ The clock moves past received stamps");
+
+  const sameTime = [createClock('aaaa', () => 1).now(), createClock('bbbb', () => 1).now()].sort();
+  assert.deepStrictEqual(sameTime.map(stamp => parseStamp(stamp).node), ['aaaa', 'bbbb'], "❌ Ties should be broken by node id");
+  assert.ok(legacyStamp(1) < sameTime[0], "❌ Entries without a stamp should lose ties against stamped ones");
+  log("✅ Ties are broken deterministically");
+
+  log("\n--- A device with a fast clock no longer wins every conflict ---");
+  const kvSecretKey = generateSecretKey();
+  const kvNsec = nip19.nsecEncode(kvSecretKey);
+  const kvPubkey = getPublicKey(kvSecretKey);
+  const storage = createMemoryStorage();
+
+  const device = createStore({
+    namespace: TEST_NAMESPACE,
+    kvNsec,
+    relays: relayURLs,
+    storage,
+  });
+
+  const observer = createStore({
+    namespace: TEST_NAMESPACE,
+    kvNsec,
+    relays: relayURLs,
+    dbName: `observer-${TEST_NAMESPACE}`,
+  });
+
+  // An older version of the library on a device whose clock is an hour fast
+  const pool = new SimplePool();
+  const fastTime = Date.now() + 60 * 60 * 1000;
+  const legacyEvent = finalizeEvent({
+    kind: 30078,
+    created_at: Math.floor(Date.now() / 1000),
+    tags: [["d", TEST_NAMESPACE], ["p", kvPubkey]],
+    content: nip44.encrypt(JSON.stringify({ theme: { value: 'dark', lastModified: fastTime } }), nip44.getConversationKey(kvSecretKey, kvPubkey)),
+  }, generateSecretKey());
+
+  try {
+    const received = device.onChange();
+    const observed = observer.onChange();
+    await Promise.any(pool.publish(relayURLs, legacyEvent));
+    assert.deepStrictEqual(await received, { key: 'theme', value: 'dark' }, "❌ Entry without a stamp was not applied");
+    await observed;
+    log("✅ Entries from older versions without a stamp are applied");
+
+    // Written after receiving the fast entry, so it must win even though our clock is behind
+    await device.set('theme', 'light');
+    const stored = await storage.get('theme');
+    assert.ok(stored.meta.lastModified >= fastTime, "❌ lastModified should move past the received time for older devices");
+    assert.strictEqual(parseStamp(stored.meta.hlc).time, stored.meta.lastModified, "❌ lastModified should match the stamp's time");
+
+    const change = observer.onChange();
+    await device.sync();
+    assert.deepStrictEqual(await change, { key: 'theme', value: 'light' }, "❌ Later write lost against a device with a fast clock");
+    assert.strictEqual(await observer.get('theme'), 'light', "❌ Observer kept the fast clock's value");
+    log("✅ A write made after seeing a fast clock's entry wins");
+
+    log("\n--- Test completed ---");
+  } finally {
+    pool.close(relayURLs);
+    await device.close();
+    await observer.close();
+    log("Test completed, connections closed.");
+  }
+}
+
+// Run the test
+runTest().catch(err => {
+  console.error("Fatal error:", err);
+  process.exit(1);
+});
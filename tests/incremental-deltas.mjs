@@ -0,0 +1,140 @@
+// Import common test utilities
+import { setupTestEnvironment, logTestStart, waitFor } from './common.mjs';
+
+// Import necessary tools
+import { generateSecretKey, getPublicKey } from 'nostr-tools/pure';
+import * as nip44 from 'nostr-tools/nip44';
+import * as nip19 from 'nostr-tools/nip19';
+import { createStore } from '../index.js';
+import { decodePayload } from '../codec.js';
+import assert from 'node:assert/strict'; // Import assert
+
+// Test configuration
+const TEST_NAMESPACE = 'incremental-test-' + Math.floor(Math.random() * 1000000);
+const DELTA_KIND = 1078;
+
+// Setup test environment
+const { relayURLs, mockRelays } = setupTestEnvironment();
+
+// Use console.log for test output
+const log = console.log.bind(console);
+
+async function runTest() {
+  logTestStart(import.meta.url); // Log the start of the test
+  log(`Starting incremental test with namespace: ${TEST_NAMESPACE}`);
+
+  const kvSecretKey = generateSecretKey();
+  const kvPubkey = getPublicKey(kvSecretKey);
+  const kvNsec = nip19.nsecEncode(kvSecretKey);
+  const authSecretKey1 = generateSecretKey();
+  const authPubkey1 = getPublicKey(authSecretKey1);
+
+  const store1 = createStore({
+    namespace: TEST_NAMESPACE,
+    authNsec: nip19.nsecEncode(authSecretKey1),
+    kvNsec,
+    relays: relayURLs,
+    dbName: `client1-${TEST_NAMESPACE}`,
+    incremental: true,
+    compactAfter: 2,
+    debounce: 100,
+  });
+
+  // Events client 1 has published (only available with mock relays)
+  const published = () => mockRelays.length ?
+    mockRelays[0].preloadedEvents.filter(e => e.pubkey === authPubkey1 && e.kind !== 5) :
+    [];
+  const lastPublished = async () => {
+    const event = published().slice(-1)[0];
+    const data = decodePayload(nip44.decrypt(event.content, nip44.getConversationKey(kvSecretKey, kvPubkey)));
+    return { event, keys: Object.keys(data).sort() };
+  };
+
+  let store2 = null;
+
+  try {
+    log("\n--- Publishing changes incrementally ---");
+    await store1.set('a', 1);
+    await store1.sync();
+
+    if (mockRelays.length) {
+      const first = await lastPublished();
+      assert.strictEqual(first.event.kind, 30078, "❌ The first publish should be a snapshot");
+      log("✅ First publish is a snapshot");
+    }
+
+    await store1.set('b', 2);
+    await store1.sync();
+
+    if (mockRelays.length) {
+      const delta = await lastPublished();
+      assert.strictEqual(delta.event.kind, DELTA_KIND, "❌ The second publish should be a delta");
+      assert.deepStrictEqual(delta.keys, ['b'], "❌ The delta should only contain the changed key");
+      const snapshotId = published()[0].id;
+      assert.ok(delta.event.tags.some(tag => tag[0] === 'e' && tag[1] === snapshotId), "❌ The delta should reference the latest snapshot");
+      log("✅ Second publish is a delta with only the changed key, referencing the snapshot");
+    }
+
+    await store1.set('c', 3);
+    await store1.sync();
+    const deltaIds = published().filter(e => e.kind === DELTA_KIND).map(e => e.id).sort();
+    await store1.set('d', 4);
+    await store1.sync();
+
+    if (mockRelays.length) {
+      const compacted = await lastPublished();
+      assert.strictEqual(compacted.event.kind, 30078, "❌ Expected a compaction after compactAfter deltas");
+      assert.deepStrictEqual(compacted.keys, ['a', 'b', 'c', 'd'], "❌ The compacted snapshot should contain every key");
+      log("✅ Deltas were compacted into a fresh snapshot");
+
+      const deletion = () => mockRelays[0].preloadedEvents.find(e => e.pubkey === authPubkey1 && e.kind === 5);
+      await waitFor(deletion, "❌ The compaction did not retract the deltas it replaces", 5000);
+      assert.deepStrictEqual(deletion().tags.filter(tag => tag[0] === 'e').map(tag => tag[1]).sort(), deltaIds,
+        "❌ The deletion request should reference every replaced delta");
+      assert.ok(deletion().tags.some(tag => tag[0] === 'k' && tag[1] === String(DELTA_KIND)), "❌ The deletion request should name the delta kind");
+      assert.ok(!published().some(e => deltaIds.includes(e.id)), "❌ The replaced deltas are still stored on the relay");
+      log("✅ The replaced deltas were retracted with a deletion request");
+    }
+
+    await store1.set('e', 5);
+    await store1.del('a');
+    await store1.sync();
+
+    if (mockRelays.length) {
+      const delta = await lastPublished();
+      assert.strictEqual(delta.event.kind, DELTA_KIND, "❌ Expected a delta after the compaction");
+      assert.deepStrictEqual(delta.keys, ['a', 'e'], "❌ The delta should contain the change and the deletion");
+      log("✅ Changes after the compaction are published as a delta again");
+    }
+
+    log("\n--- Bringing a new client online ---");
+    store2 = createStore({
+      namespace: TEST_NAMESPACE,
+      kvNsec,
+      relays: relayURLs,
+      dbName: `client2-${TEST_NAMESPACE}`,
+    });
+
+    const expected = { a: undefined, b: 2, c: 3, d: 4, e: 5 };
+    const rebuilt = async () => {
+      const values = await store2.getMany(Object.keys(expected));
+      return values.every((value, i) => value === Object.values(expected)[i]);
+    };
+    await waitFor(rebuilt, "❌ New client did not rebuild the store from snapshot and deltas", 5000);
+    log("✅ New client rebuilt the store from the snapshot plus deltas");
+
+    log("\n--- Test completed ---");
+  } finally {
+    await store1.close();
+    if (store2) {
+      await store2.close();
+    }
+    log("Test completed, connections closed.");
+  }
+}
+
+// Run the test
+runTest().catch(err => {
+  console.error("Fatal error:", err);
+  process.exit(1);
+});
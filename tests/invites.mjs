@@ -0,0 +1,88 @@
+// Import common test utilities
+import { setupTestEnvironment, logTestStart } from './common.mjs';
+
+// Import necessary tools
+import { createStore, acceptInvite } from '../index.js';
+import assert from 'node:assert/strict'; // Import assert
+
+// Test configuration
+const TEST_NAMESPACE = 'invite-test-' + Math.floor(Math.random() * 1000000);
+
+// Setup test environment
+const { relayURLs } = setupTestEnvironment();
+
+// Use console.log for test output
+const log = console.log.bind(console);
+
+async function runTest() {
+  logTestStart(import.meta.url); // Log the start of the test
+  log(`Starting invite test with namespace: ${TEST_NAMESPACE}`);
+
+  const store1 = createStore({
+    namespace: TEST_NAMESPACE,
+    relays: relayURLs,
+    dbName: `client1-${TEST_NAMESPACE}`,
+  });
+
+  const stores = [store1];
+
+  try {
+    const value = { theme: 'dark' };
+    await store1.set('settings', value);
+    await store1.sync();
+
+    log("\n--- Accepting a plain invite ---");
+    const invite = await store1.createInvite();
+    assert.ok(invite.startsWith('nostr-kv-invite:1:'), "❌ Invite is missing its prefix");
+    assert.ok(/^[\w:-]+$/.test(invite), "❌ Invite should only contain URL safe characters");
+    log(`Invite is ${invite.length} characters long`);
+
+    const store2 = acceptInvite(invite, { dbName: `client2-${TEST_NAMESPACE}` });
+    stores.push(store2);
+    assert.strictEqual(store2.keys().kv.nsec, store1.keys().kv.nsec, "❌ Invite did not carry the shared key");
+    assert.notStrictEqual(store2.keys().auth.nsec, store1.keys().auth.nsec, "❌ The new device should have its own auth key");
+
+    const change = await store2.onChange();
+    assert.strictEqual(change.key, 'settings', `❌ Unexpected key received: ${change.key}`);
+    assert.deepStrictEqual(change.value, value, "❌ New device pulled the wrong value");
+    log("✅ The invited device pulled the current data");
+
+    log("\n--- Accepting a passphrase protected invite ---");
+    const protectedInvite = await store1.createInvite({ passphrase: 'correct horse battery staple' });
+    assert.ok(!protectedInvite.includes(store1.keys().kv.nsec), "❌ Protected invite contains the plain shared key");
+    assert.throws(() => acceptInvite(protectedInvite), /requires a passphrase/, "❌ Missing passphrase should be refused");
+    assert.throws(() => acceptInvite(protectedInvite, { passphrase: 'wrong' }), /Wrong passphrase/, "❌ Wrong passphrase should be refused");
+    log("✅ Missing and wrong passphrases are refused");
+
+    const store3 = createStore({
+      invite: protectedInvite,
+      passphrase: 'correct horse battery staple',
+      dbName: `client3-${TEST_NAMESPACE}`,
+    });
+    stores.push(store3);
+    assert.strictEqual(store3.keys().kv.nsec, store1.keys().kv.nsec, "❌ Passphrase did not unwrap the shared key");
+    const change3 = await store3.onChange();
+    assert.deepStrictEqual(change3.value, value, "❌ Device from a protected invite pulled the wrong value");
+    log("✅ createStore({ invite, passphrase }) unwraps the shared key and pulls the data");
+
+    log("\n--- Expired invites ---");
+    const expiring = await store1.createInvite({ expiresIn: -1000 });
+    assert.throws(() => acceptInvite(expiring), /expired/, "❌ Expired invite should be refused");
+    const valid = await store1.createInvite({ expiresIn: 60 * 1000 });
+    stores.push(acceptInvite(valid, { dbName: `client4-${TEST_NAMESPACE}` }));
+    log("✅ Expired invites are refused, unexpired ones accepted");
+
+    log("\n--- Test completed ---");
+  } finally {
+    for (const store of stores) {
+      await store.close();
+    }
+    log("Test completed, connections closed.");
+  }
+}
+
+// Run the test
+runTest().catch(err => {
+  console.error("Fatal error:", err);
+  process.exit(1);
+});
@@ -0,0 +1,95 @@
+// Import common test utilities
+import { setupTestEnvironment, logTestStart, waitFor, createStoreFactory } from './common.mjs';
+
+// Import necessary tools
+import { generateSecretKey, getPublicKey } from 'nostr-tools/pure';
+import * as nip19 from 'nostr-tools/nip19';
+import { createMemoryStorage } from '../index.js';
+import assert from 'node:assert/strict'; // Import assert
+
+// Test configuration
+const TEST_NAMESPACE = 'key-rotation-test-' + Math.floor(Math.random() * 1000000);
+
+// Setup test environment
+const { relayURLs } = setupTestEnvironment();
+
+// Use console.log for test output
+const log = console.log.bind(console);
+
+async function runTest() {
+  logTestStart(import.meta.url); // Log the start of the test
+  log(`Starting key rotation test with namespace: ${TEST_NAMESPACE}`);
+
+  const kvNsec = nip19.nsecEncode(generateSecretKey());
+  const kvNpub = nip19.npubEncode(getPublicKey(nip19.decode(kvNsec).data));
+  const authNsec2 = nip19.nsecEncode(generateSecretKey());
+  const storage2 = createMemoryStorage();
+
+  const { open, closeAll } = createStoreFactory({
+    namespace: TEST_NAMESPACE,
+    kvNsec,
+    relays: relayURLs,
+    debounce: 100,
+  });
+
+  const store1 = open({ dbName: `client1-${TEST_NAMESPACE}` });
+  const store2 = open({ authNsec: authNsec2, storage: storage2 });
+  const lost = open({ dbName: `lost-${TEST_NAMESPACE}` });
+
+  try {
+    log("\n--- Every device writes so the others know about it ---");
+    for (const [name, store] of [['one', store1], ['two', store2], ['lost', lost]]) {
+      await store.set(`written-by-${name}`, name);
+      await store.sync();
+    }
+    await waitFor(async () => (await store1.listKeys()).length === 3 && (await store2.listKeys()).length === 3,
+      "❌ Devices did not receive each other's writes");
+    log("✅ All devices have synced");
+
+    log("\n--- Rotating the shared key without the lost device ---");
+    const rotated = await store1.rotateKey({ exclude: [lost.keys().auth.npub] });
+    assert.notStrictEqual(rotated.npub, kvNpub, "❌ rotateKey did not generate a new key");
+    assert.strictEqual(store1.keys().kv.npub, rotated.npub, "❌ The rotating device is not using the new key");
+    log("✅ The rotating device switched to the new key");
+
+    await waitFor(() => store2.keys().kv.npub === rotated.npub, "❌ The remaining device did not switch to the new key");
+    log("✅ The remaining device followed the migration pointer");
+
+    await new Promise(resolve => setTimeout(resolve, 1000));
+    assert.strictEqual(lost.keys().kv.npub, kvNpub, "❌ The lost device should not receive the new key");
+    log("✅ The lost device was left on the old key");
+
+    log("\n--- Syncing under the new key ---");
+    const received = store2.onChange();
+    await store1.set('after-rotation', { secret: 'only for current devices' });
+    await store1.sync();
+    const change = await received;
+    assert.strictEqual(change.key, 'after-rotation', `❌ Unexpected key received: ${change.key}`);
+    log("✅ Changes sync between the devices on the new key");
+
+    await lost.set('from-lost', 'ignored');
+    await lost.sync();
+    await new Promise(resolve => setTimeout(resolve, 1000));
+    assert.strictEqual(await store1.get('from-lost'), undefined, "❌ Writes under the old key should no longer be read");
+    assert.strictEqual(await lost.get('after-rotation'), undefined, "❌ The lost device could read data written after the rotation");
+    log("✅ The lost device can no longer read or write the store");
+
+    log("\n--- Reloading a device with the old key ---");
+    await store2.close();
+    const reloaded = open({ authNsec: authNsec2, storage: storage2 });
+    await reloaded.sync();
+    assert.strictEqual(reloaded.keys().kv.npub, rotated.npub, "❌ The rotated key was not kept after a reload");
+    log("✅ The rotated key is kept after a reload");
+
+    log("\n--- Test completed ---");
+  } finally {
+    await closeAll();
+    log("Test completed, connections closed.");
+  }
+}
+
+// Run the test
+runTest().catch(err => {
+  console.error("Fatal error:", err);
+  process.exit(1);
+});
@@ -0,0 +1,125 @@
+// Import common test utilities
+import { setupTestEnvironment, logTestStart, createStoreFactory } from './common.mjs';
+
+// Import necessary tools
+import { generateSecretKey } from 'nostr-tools/pure';
+import * as nip19 from 'nostr-tools/nip19';
+import { createStore, createMemoryStorage, StoreLockedError } from '../index.js';
+import assert from 'node:assert/strict'; // Import assert
+
+// Test configuration
+const TEST_NAMESPACE = 'local-encryption-test-' + Math.floor(Math.random() * 1000000);
+
+// Setup test environment
+const { relayURLs } = setupTestEnvironment();
+
+// Use console.log for test output
+const log = console.log.bind(console);
+
+async function runTest() {
+  logTestStart(import.meta.url); // Log the start of the test
+  log(`Starting local encryption test with namespace: ${TEST_NAMESPACE}`);
+
+  const kvNsec = nip19.nsecEncode(generateSecretKey());
+  const storage = createMemoryStorage();
+  const passphraseStorage = createMemoryStorage();
+
+  const { open, closeAll } = createStoreFactory({
+    namespace: TEST_NAMESPACE,
+    kvNsec,
+    relays: relayURLs,
+    debounce: 100,
+  });
+
+  const encrypted = open({ storage, encryptLocal: { keyNames: true } });
+  const other = open({ dbName: `other-${TEST_NAMESPACE}` });
+
+  try {
+    log("\n--- Values and key names are encrypted at rest ---");
+    const value = { note: 'top secret plans' };
+    await encrypted.set('private-note', value);
+    assert.deepStrictEqual(await encrypted.get('private-note'), value, "❌ get() should return the decrypted value");
+    assert.deepStrictEqual(await encrypted.listKeys(), ['private-note'], "❌ listKeys() should return the real key names");
+
+    const raw = JSON.stringify(await storage.entries());
+    assert.ok(!raw.includes('top secret plans'), "❌ The value is stored in plaintext");
+    assert.ok(!raw.includes('private-note'), "❌ The key name is stored in plaintext");
+    log("✅ Local storage holds neither the value nor the key name in plaintext");
+
+    const [, received] = await Promise.all([encrypted.sync(), other.onChange()]);
+    assert.deepStrictEqual(received.value, value, "❌ Publishing from encrypted local storage failed");
+    log("✅ Publishing reads the encrypted local copy");
+
+    log("\n--- Locking ---");
+    encrypted.lock();
+    assert.strictEqual(encrypted.isLocked(), true, "❌ isLocked() should be true after lock()");
+    await assert.rejects(encrypted.get('private-note'), StoreLockedError, "❌ get() should reject while locked");
+    await assert.rejects(encrypted.set('another', 1), StoreLockedError, "❌ set() should reject while locked");
+    log("✅ Reads and writes reject while locked");
+
+    // Received changes wait for the unlock instead of being lost
+    await other.set('while-locked', 'received later');
+    await other.sync();
+    await new Promise(resolve => setTimeout(resolve, 500));
+
+    const afterUnlock = encrypted.onChange();
+    await encrypted.unlock();
+    assert.strictEqual(encrypted.isLocked(), false, "❌ isLocked() should be false after unlock()");
+    assert.strictEqual((await afterUnlock).key, 'while-locked', "❌ Change received while locked was not applied after unlocking");
+    assert.strictEqual(await encrypted.get('while-locked'), 'received later', "❌ Change received while locked was lost");
+    log("✅ Changes received while locked are applied after unlocking");
+
+    log("\n--- Passphrase protected local data ---");
+    const protectedStore = open({ storage: passphraseStorage, encryptLocal: { passphrase: true } });
+    assert.strictEqual(protectedStore.isLocked(), true, "❌ A passphrase protected store should start locked");
+    await assert.rejects(protectedStore.get('private-note'), StoreLockedError, "❌ get() should reject before unlocking");
+    await protectedStore.unlock('hunter2');
+    await protectedStore.set('passphrase-key', 'passphrase value');
+    await protectedStore.close();
+
+    const reopened = open({ storage: passphraseStorage, encryptLocal: { passphrase: true } });
+    await assert.rejects(reopened.unlock('wrong'), /Wrong key or passphrase/, "❌ A wrong passphrase should be refused");
+    assert.strictEqual(reopened.isLocked(), true, "❌ A wrong passphrase should leave the store locked");
+    await reopened.unlock('hunter2');
+    assert.strictEqual(await reopened.get('passphrase-key'), 'passphrase value', "❌ Data was not readable after unlocking with the passphrase");
+    log("✅ The passphrase unlocks the data and a wrong one is refused");
+
+    log("\n--- Keys for the local data ---");
+    assert.throws(() => createStore({ namespace: TEST_NAMESPACE, storage: createMemoryStorage(), encryptLocal: true }),
+      /pass kvNsec or use a passphrase/, "❌ A key derived from a kvNsec generated per session should be refused");
+    assert.throws(() => createStore({ namespace: TEST_NAMESPACE, storage: createMemoryStorage(), encryptLocal: true, persistKeys: true }),
+      /pass kvNsec or use a passphrase/, "❌ A key derived from a kvNsec saved in plaintext should be refused");
+    log("✅ encryptLocal without a kvNsec that outlives the session, or with one saved in plaintext, is refused");
+
+    const wrappedStorage = createMemoryStorage();
+    const wrapped = open({ kvNsec: undefined, storage: wrappedStorage, encryptLocal: true, persistKeys: 'wrapped' });
+    await wrapped.set('wrapped-key', 'wrapped value');
+    await wrapped.close();
+    const wrappedAgain = open({ kvNsec: undefined, storage: wrappedStorage, encryptLocal: true, persistKeys: 'wrapped' });
+    assert.strictEqual(await wrappedAgain.get('wrapped-key'), 'wrapped value', "❌ Data was not readable with the wrapped kvNsec");
+    log("✅ A kvNsec persisted with wrapped keys unlocks the local data");
+
+    const rotatingStorage = createMemoryStorage();
+    const rotatingOptions = { namespace: `${TEST_NAMESPACE}-rotation`, storage: rotatingStorage, encryptLocal: true };
+    const rotating = open(Object.assign({ kvNsec: nip19.nsecEncode(generateSecretKey()) }, rotatingOptions));
+    await rotating.set('before-rotation', 'still readable');
+    const { nsec: rotatedNsec } = await rotating.rotateKey();
+    await rotating.sync();
+    await rotating.close();
+
+    const reopenedRotated = open(Object.assign({ kvNsec: rotatedNsec }, rotatingOptions));
+    assert.strictEqual(await reopenedRotated.get('before-rotation'), 'still readable', "❌ Local data was lost after reopening with the rotated key");
+    log("✅ A store reopened with the key it rotated to still unlocks its local data");
+
+    log("\n--- Test completed ---");
+  } finally {
+    await closeAll();
+    log("Test completed, connections closed.");
+  }
+}
+
+// Run the test
+runTest().catch(err => {
+  console.error("Fatal error:", err);
+  process.exit(1);
+});
@@ -0,0 +1,94 @@
+// Import common test utilities
+import { setupTestEnvironment, logTestStart } from './common.mjs';
+
+// Import necessary tools
+import { generateSecretKey, getPublicKey } from 'nostr-tools/pure';
+import * as nip19 from 'nostr-tools/nip19';
+import { createStore } from '../index.js';
+import assert from 'node:assert/strict'; // Import assert
+
+// Test configuration
+const TEST_NAMESPACE = 'nip44-test-' + Math.floor(Math.random() * 1000000);
+
+// Setup test environment
+const { relayURLs, mockRelays } = setupTestEnvironment();
+
+// Use console.log for test output
+const log = console.log.bind(console);
+
+async function runTest() {
+  logTestStart(import.meta.url); // Log the start of the test
+  log(`Starting NIP-44 migration test with namespace: ${TEST_NAMESPACE}`);
+
+  const kvNsec = nip19.nsecEncode(generateSecretKey());
+  const authSecretKey1 = generateSecretKey();
+  const authPubkey1 = getPublicKey(authSecretKey1);
+
+  // A device that is still publishing with NIP-04
+  const oldDevice = createStore({
+    namespace: TEST_NAMESPACE,
+    authNsec: nip19.nsecEncode(authSecretKey1),
+    kvNsec,
+    relays: relayURLs,
+    dbName: `old-${TEST_NAMESPACE}`,
+    encryption: 'nip04',
+  });
+
+  // A device using the default NIP-44 encryption
+  const newDevice = createStore({
+    namespace: TEST_NAMESPACE,
+    kvNsec,
+    relays: relayURLs,
+    dbName: `new-${TEST_NAMESPACE}`,
+  });
+
+  // Latest event published by the old device (only available with mock relays)
+  const latestFromOldDevice = () => mockRelays.length ?
+    mockRelays[0].preloadedEvents.filter(e => e.kind === 30078 && e.pubkey === authPubkey1).slice(-1)[0] :
+    null;
+
+  try {
+    log("\n--- NIP-04 device writes, NIP-44 device reads ---");
+    await oldDevice.set('old-key', 'written with nip04');
+    const [, change1] = await Promise.all([oldDevice.sync(), newDevice.onChange()]);
+    assert.deepStrictEqual(change1, { key: 'old-key', value: 'written with nip04' }, "❌ NIP-44 device could not read a NIP-04 event");
+    if (mockRelays.length) {
+      assert.ok(latestFromOldDevice().content.includes('?iv='), "❌ Old device should have published NIP-04 content");
+    }
+    log("✅ NIP-44 device reads NIP-04 events");
+
+    log("\n--- NIP-44 device writes, NIP-04 device reads ---");
+    await newDevice.set('new-key', 'written with nip44');
+    const [, change2] = await Promise.all([newDevice.sync(), oldDevice.onChange()]);
+    assert.deepStrictEqual(change2, { key: 'new-key', value: 'written with nip44' }, "❌ NIP-04 device could not read a NIP-44 event");
+    log("✅ Device publishing NIP-04 still reads NIP-44 events");
+
+    log("\n--- Upgrading the old device's events ---");
+    const upgraded = await oldDevice.upgradeEncryption();
+    assert.strictEqual(upgraded, true, "❌ upgradeEncryption() failed to republish");
+    if (mockRelays.length) {
+      assert.ok(!latestFromOldDevice().content.includes('?iv='), "❌ Republished event is still NIP-04");
+    }
+    log("✅ upgradeEncryption() republished our events with NIP-44");
+
+    await oldDevice.set('after-upgrade', 'also nip44');
+    const [, change3] = await Promise.all([oldDevice.sync(), newDevice.onChange()]);
+    assert.deepStrictEqual(change3, { key: 'after-upgrade', value: 'also nip44' }, "❌ Upgraded device's later events could not be read");
+    if (mockRelays.length) {
+      assert.ok(!latestFromOldDevice().content.includes('?iv='), "❌ Upgraded device went back to NIP-04");
+    }
+    log("✅ Upgraded device keeps publishing NIP-44");
+
+    log("\n--- Test completed ---");
+  } finally {
+    await oldDevice.close();
+    await newDevice.close();
+    log("Test completed, connections closed.");
+  }
+}
+
+// Run the test
+runTest().catch(err => {
+  console.error("Fatal error:", err);
+  process.exit(1);
+});
@@ -0,0 +1,88 @@
+// Import common test utilities
+import { setupTestEnvironment, logTestStart } from './common.mjs';
+
+// Import necessary tools
+import { generateSecretKey } from 'nostr-tools/pure';
+import * as nip19 from 'nostr-tools/nip19';
+import { createStore, createMemoryStorage, PayloadTooLargeError } from '../index.js';
+import assert from 'node:assert/strict'; // Import assert
+
+// Test configuration
+const TEST_NAMESPACE = 'payload-size-test-' + Math.floor(Math.random() * 1000000);
+const MAX_PAYLOAD_BYTES = 2000;
+
+// Setup test environment
+const { relayURLs, mockRelays } = setupTestEnvironment();
+
+// Use console.log for test output
+const log = console.log.bind(console);
+
+async function runTest() {
+  logTestStart(import.meta.url); // Log the start of the test
+  log(`Starting payload size test with namespace: ${TEST_NAMESPACE}`);
+
+  const store = createStore({
+    namespace: TEST_NAMESPACE,
+    kvNsec: nip19.nsecEncode(generateSecretKey()),
+    relays: relayURLs,
+    storage: createMemoryStorage(),
+    maxPayloadBytes: MAX_PAYLOAD_BYTES,
+  });
+
+  try {
+    log("\n--- Testing size() ---");
+    const empty = await store.size();
+    assert.strictEqual(empty.maxBytes, MAX_PAYLOAD_BYTES, "❌ size() should report the configured maximum");
+    assert.strictEqual(empty.headroom, MAX_PAYLOAD_BYTES - empty.bytes, "❌ size() headroom is wrong");
+    log(`✅ Empty store payload is ${empty.bytes} bytes with ${empty.headroom} bytes of headroom`);
+
+    await store.set('small', 'fits easily');
+    const small = await store.size();
+    assert.ok(small.bytes > empty.bytes, "❌ size() should grow after a set()");
+    log(`✅ Payload grew to ${small.bytes} bytes after a small set()`);
+    assert.strictEqual(await store.sync(), true, "❌ Store failed to publish");
+    const publishedEvents = () => mockRelays.length ? mockRelays[0].preloadedEvents.filter(e => e.kind === 30078).length : 0;
+    const publishedBefore = publishedEvents();
+
+    log("\n--- Testing writes over the limit ---");
+    const big = 'x'.repeat(MAX_PAYLOAD_BYTES);
+    await assert.rejects(store.set('big', big), (error) => {
+      assert.ok(error instanceof PayloadTooLargeError, "❌ Expected a PayloadTooLargeError");
+      assert.ok(error.size > MAX_PAYLOAD_BYTES, "❌ Error should report the rejected size");
+      assert.strictEqual(error.maxBytes, MAX_PAYLOAD_BYTES, "❌ Error should report the maximum");
+      return true;
+    });
+    assert.strictEqual(await store.get('big'), undefined, "❌ Rejected value was written locally");
+    log("✅ set() over the limit rejected with PayloadTooLargeError before writing");
+
+    await assert.rejects(store.setMany([['a', big.slice(0, 1000)], ['b', big.slice(0, 1000)]]), PayloadTooLargeError);
+    assert.deepStrictEqual(await store.getMany(['a', 'b']), [undefined, undefined], "❌ Rejected batch was partially written");
+    log("✅ setMany() over the limit rejected without writing any of the batch");
+
+    assert.strictEqual((await store.size()).bytes, small.bytes, "❌ Rejected writes changed the payload size");
+    log("✅ Rejected writes left the payload unchanged");
+
+    assert.strictEqual(store.status().state, 'idle', "❌ Rejected writes should not schedule a publish");
+    await new Promise(resolve => setTimeout(resolve, 1500));
+    assert.strictEqual(publishedEvents(), publishedBefore, "❌ Rejected writes were published");
+    log("✅ Rejected writes are not published");
+
+    log("\n--- Testing writes under the limit still work ---");
+    await store.del('small');
+    await store.set('medium', 'y'.repeat(500));
+    assert.strictEqual(await store.get('medium'), 'y'.repeat(500), "❌ Write under the limit failed");
+    assert.strictEqual(await store.sync(), true, "❌ Store failed to publish");
+    log("✅ Writes under the limit are stored and published");
+
+    log("\n--- Test completed ---");
+  } finally {
+    await store.close();
+    log("Test completed, connections closed.");
+  }
+}
+
+// Run the test
+runTest().catch(err => {
+  console.error("Fatal error:", err);
+  process.exit(1);
+});
@@ -0,0 +1,105 @@
+// Import common test utilities
+import { setupTestEnvironment, logTestStart } from './common.mjs';
+
+// Import necessary tools
+import { generateSecretKey } from 'nostr-tools/pure';
+import * as nip19 from 'nostr-tools/nip19';
+import { createStore, createMemoryStorage } from '../index.js';
+import assert from 'node:assert/strict'; // Import assert
+
+// Test configuration
+const TEST_NAMESPACE = 'pending-test-' + Math.floor(Math.random() * 1000000);
+
+// Setup test environment
+const { relayURLs } = setupTestEnvironment();
+
+// Use a non-existent relay URL to simulate being offline
+const OFFLINE_RELAY = 'wss://non.existent.relay.that.will.fail';
+
+// Use console.log for test output
+const log = console.log.bind(console);
+
+async function runTest() {
+  logTestStart(import.meta.url); // Log the start of the test
+  log(`Starting pending changes test with namespace: ${TEST_NAMESPACE}`);
+
+  const kvNsec = nip19.nsecEncode(generateSecretKey());
+  const authNsec = nip19.nsecEncode(generateSecretKey());
+
+  // The same storage is reused to simulate the page reloading
+  const storage = createMemoryStorage();
+
+  const listener = createStore({
+    namespace: TEST_NAMESPACE,
+    kvNsec,
+    relays: relayURLs,
+    dbName: `listener-${TEST_NAMESPACE}`,
+  });
+
+  // Client that goes away before it can publish
+  const store1 = createStore({
+    namespace: TEST_NAMESPACE,
+    authNsec,
+    kvNsec,
+    relays: [OFFLINE_RELAY],
+    storage,
+    maxRetryCount: 1,
+  });
+
+  let reloaded = null;
+
+  try {
+    log("\n--- Making a change while offline, then closing ---");
+    const key = 'unpublished-key';
+    const value = { message: 'Written just before the tab closed' };
+
+    await store1.set(key, value);
+    assert.deepStrictEqual(await storage.get('_nkvmeta_dirty'), [key], "❌ Dirty marker was not persisted on set()");
+    log("✅ Dirty marker persisted with the changed key");
+
+    const offlineSync = await store1.sync();
+    assert.strictEqual(offlineSync, false, "❌ Expected sync to fail while offline");
+    assert.deepStrictEqual(await storage.get('_nkvmeta_dirty'), [key], "❌ Dirty marker should survive a failed publish");
+    log("✅ Dirty marker survives a failed publish");
+
+    await store1.close();
+
+    log("\n--- Reloading the client with working relays ---");
+    const received = listener.onChange();
+
+    // No set() happens after the reload, the pending change must still go out
+    reloaded = createStore({
+      namespace: TEST_NAMESPACE,
+      authNsec,
+      kvNsec,
+      relays: relayURLs,
+      storage,
+    });
+
+    const synced = await reloaded.sync();
+    assert.strictEqual(synced, true, "❌ Pending change was not published after the reload");
+    log("✅ Pending change published after the reload");
+
+    const change = await received;
+    assert.strictEqual(change.key, key, `❌ Unexpected key received: ${change.key}`);
+    assert.deepStrictEqual(change.value, value, "❌ Listener received the wrong value");
+    log("✅ Other client received the change that was pending at shutdown");
+
+    assert.strictEqual(await storage.get('_nkvmeta_dirty'), undefined, "❌ Dirty marker was not cleared after publishing");
+    log("✅ Dirty marker cleared after a successful publish");
+
+    log("\n--- Test completed ---");
+  } finally {
+    await listener.close();
+    if (reloaded) {
+      await reloaded.close();
+    }
+    log("Test completed, connections closed.");
+  }
+}
+
+// Run the test
+runTest().catch(err => {
+  console.error("Fatal error:", err);
+  process.exit(1);
+});
@@ -0,0 +1,99 @@
+// Import common test utilities
+import { setupTestEnvironment, logTestStart } from './common.mjs';
+
+// Import necessary tools
+import { generateSecretKey } from 'nostr-tools/pure';
+import * as nip19 from 'nostr-tools/nip19';
+import { createStore, createMemoryStorage } from '../index.js';
+import { createFileStorage } from '../storage-file.js';
+import assert from 'node:assert/strict'; // Import assert
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+
+// Test configuration
+const TEST_NAMESPACE = 'persist-keys-test-' + Math.floor(Math.random() * 1000000);
+
+// Setup test environment
+const { relayURLs } = setupTestEnvironment();
+
+// Use console.log for test output
+const log = console.log.bind(console);
+
+/**
+ * Open a store, wait for it to initialize and close it again, returning its keys
+ */
+async function openAndClose(options) {
+  const store = createStore(Object.assign({ namespace: TEST_NAMESPACE, relays: relayURLs }, options));
+  try {
+    await store.sync();
+    return store.keys();
+  } finally {
+    await store.close();
+  }
+}
+
+async function runTest() {
+  logTestStart(import.meta.url); // Log the start of the test
+  log(`Starting persisted keys test with namespace: ${TEST_NAMESPACE}`);
+
+  log("\n--- Without persistKeys ---");
+  const plainStorage = createMemoryStorage();
+  const first = await openAndClose({ storage: plainStorage });
+  const second = await openAndClose({ storage: plainStorage });
+  assert.notStrictEqual(first.kv.nsec, second.kv.nsec, "❌ Keys should be regenerated without persistKeys");
+  assert.strictEqual(await plainStorage.get('_nkvmeta_keys'), undefined, "❌ Keys were saved without persistKeys");
+  log("✅ Without persistKeys every session generates new keys");
+
+  log("\n--- With persistKeys ---");
+  const storage = createMemoryStorage();
+  const before = await openAndClose({ storage, persistKeys: true });
+  const after = await openAndClose({ storage, persistKeys: true });
+  assert.deepStrictEqual(after, before, "❌ Generated keys were not reused after a reload");
+  log("✅ Generated keys are reused after a reload");
+
+  log("\n--- Only generated keys are saved ---");
+  const kvNsec = nip19.nsecEncode(generateSecretKey());
+  const partialStorage = createMemoryStorage();
+  const partial = await openAndClose({ storage: partialStorage, persistKeys: true, kvNsec });
+  const saved = await partialStorage.get('_nkvmeta_keys');
+  assert.strictEqual(saved.kv, undefined, "❌ A provided kvNsec should not be saved");
+  assert.strictEqual(saved.auth, partial.auth.nsec, "❌ The generated auth key was not saved");
+  const partialAgain = await openAndClose({ storage: partialStorage, persistKeys: true, kvNsec });
+  assert.strictEqual(partialAgain.auth.nsec, partial.auth.nsec, "❌ The saved auth key was not reused");
+  assert.strictEqual(partialAgain.kv.nsec, kvNsec, "❌ The provided kvNsec should be used");
+  log("✅ Provided keys are used as given and only generated keys are saved");
+
+  log("\n--- With wrapped keys ---");
+  const wrappedStorage = createMemoryStorage();
+  const wrapped = await openAndClose({ storage: wrappedStorage, persistKeys: 'wrapped' });
+  const stored = await wrappedStorage.get('_nkvmeta_keys');
+  assert.ok(stored.wrappingKey instanceof CryptoKey, "❌ Wrapped keys should be stored with their wrapping key");
+  assert.strictEqual(stored.wrappingKey.extractable, false, "❌ The wrapping key should not be extractable");
+  assert.ok(!JSON.stringify(stored).includes('nsec'), "❌ Wrapped keys should not be stored as plain nsec strings");
+  const wrappedAgain = await openAndClose({ storage: wrappedStorage, persistKeys: 'wrapped' });
+  assert.deepStrictEqual(wrappedAgain, wrapped, "❌ Wrapped keys were not reused after a reload");
+  log("✅ Wrapped keys are stored encrypted and reused after a reload");
+
+  const tmp = await mkdtemp(path.join(tmpdir(), 'nostr-kv-keys-'));
+  try {
+    const fileStorage = createFileStorage(path.join(tmp, 'store.json'));
+    await assert.rejects(openAndClose({ storage: fileStorage, persistKeys: 'wrapped' }), /can't hold wrapped keys/,
+      "❌ Wrapped keys should be rejected by storage that serializes values");
+    assert.strictEqual(await fileStorage.get('_nkvmeta_keys'), undefined, "❌ Unreadable wrapped keys should not be left behind");
+    log("✅ Storage that can't hold a CryptoKey is rejected when the keys are first saved");
+  } finally {
+    await rm(tmp, { recursive: true, force: true });
+  }
+
+  assert.throws(() => createStore({ namespace: TEST_NAMESPACE, persistKeys: 'sometimes' }), /Unknown persistKeys mode/);
+  log("✅ Unknown persistKeys modes are rejected");
+
+  log("\n--- Test completed ---");
+}
+
+// Run the test
+runTest().catch(err => {
+  console.error("Fatal error:", err);
+  process.exit(1);
+});
@@ -0,0 +1,87 @@
+// Import common test utilities
+import { setupTestEnvironment, logTestStart, createStoreFactory } from './common.mjs';
+
+// Import necessary tools
+import { generateSecretKey } from 'nostr-tools/pure';
+import * as nip19 from 'nostr-tools/nip19';
+import { Server } from 'mock-socket';
+import assert from 'node:assert/strict'; // Import assert
+
+// Test configuration
+const TEST_NAMESPACE = 'ready-test-' + Math.floor(Math.random() * 1000000);
+
+// Setup test environment
+const { relayURLs } = setupTestEnvironment();
+
+// Use console.log for test output
+const log = console.log.bind(console);
+
+async function runTest() {
+  logTestStart(import.meta.url); // Log the start of the test
+  log(`Starting ready test with namespace: ${TEST_NAMESPACE}`);
+
+  // A relay that accepts connections but never answers
+  const silentURL = `wss://silent.mock.relay/${Math.floor(Math.random() * 10000)}`;
+  const silentRelay = new Server(silentURL);
+
+  const kvNsec = nip19.nsecEncode(generateSecretKey());
+  const { open, closeAll } = createStoreFactory({
+    namespace: TEST_NAMESPACE,
+    kvNsec,
+    relays: relayURLs,
+    debounce: 100,
+  });
+
+  const first = open();
+
+  try {
+    await first.ready();
+    await first.set('theme', 'dark');
+    await first.sync();
+
+    log("\n--- ready() waits for the stored events ---");
+    const second = open();
+    await second.ready();
+    assert.strictEqual(await second.get('theme'), 'dark', "❌ Stored events were not merged when ready() resolved");
+    log("✅ Stored events are merged by the time ready() resolves");
+
+    const third = open({ waitForReady: true });
+    assert.strictEqual(await third.get('theme'), 'dark', "❌ get() should wait for ready() with waitForReady");
+    log("✅ With waitForReady, get() waits for the stored events");
+
+    log("\n--- A relay that doesn't answer ---");
+    const slow = open({ relays: [...relayURLs, silentURL], readyTimeout: 1500 });
+    let isReady = false;
+    const readyAfter = slow.ready().then(() => {
+      isReady = true;
+    });
+
+    await slow.set('from-slow', 'hello');
+    let received = false;
+    first.onChange((key) => {
+      if (key === 'from-slow') received = true;
+    });
+    await new Promise(resolve => setTimeout(resolve, 800));
+    assert.strictEqual(isReady, false, "❌ ready() resolved before every relay answered");
+    assert.strictEqual(received, false, "❌ Changes were published before the store was ready");
+    log("✅ Publishing waits while a relay hasn't sent its stored events");
+
+    await readyAfter;
+    await slow.sync();
+    await new Promise(resolve => setTimeout(resolve, 500));
+    assert.strictEqual(received, true, "❌ Changes were not published once ready");
+    log("✅ ready() resolves after readyTimeout and the held changes are published");
+
+    log("\n--- Test completed ---");
+  } finally {
+    await closeAll();
+    silentRelay.close();
+    log("Test completed, connections closed.");
+  }
+}
+
+// Run the test
+runTest().catch(err => {
+  console.error("Fatal error:", err);
+  process.exit(1);
+});
@@ -0,0 +1,86 @@
+// Import common test utilities
+import { setupTestEnvironment, logTestStart, MockRelay, waitFor, createTestEnvironment, createStoreFactory } from './common.mjs';
+
+// Import necessary tools
+import { generateSecretKey } from 'nostr-tools/pure';
+import * as nip19 from 'nostr-tools/nip19';
+import assert from 'node:assert/strict'; // Import assert
+
+// Test configuration
+const TEST_NAMESPACE = 'reconnect-test-' + Math.floor(Math.random() * 1000000);
+
+// Setup test environment
+const { relayURLs, mockRelays } = setupTestEnvironment();
+
+// Use console.log for test output
+const log = console.log.bind(console);
+
+async function runTest() {
+  logTestStart(import.meta.url); // Log the start of the test
+  log(`Starting reconnect test with namespace: ${TEST_NAMESPACE}`);
+
+  const kvNsec = nip19.nsecEncode(generateSecretKey());
+  const environment = createTestEnvironment();
+  const { open, stores, closeAll } = createStoreFactory({
+    namespace: TEST_NAMESPACE,
+    kvNsec,
+    relays: [relayURLs[0]],
+    debounce: 100,
+    environment,
+  });
+
+  const writer = open();
+  const reader = open();
+  const unsupervised = open({ reconnect: false });
+
+  try {
+    await Promise.all(stores.map(store => store.ready()));
+
+    log("\n--- A dropped relay connection is reestablished ---");
+    for (const conn of mockRelays[0]._connections.keys()) {
+      conn.close();
+    }
+    await writer.set('during-outage', 'caught up');
+    await writer.sync();
+
+    await waitFor(async () => await reader.get('during-outage') === 'caught up', "❌ Reader did not resubscribe after the connection dropped");
+    log("✅ The subscription is reissued from the cursor and picks up changes made while it was down");
+    assert.strictEqual(await unsupervised.get('during-outage'), undefined, "❌ Without reconnect the subscription should stay closed");
+    log("✅ With reconnect: false the dropped subscription is left closed");
+
+    log("\n--- Going offline and back online ---");
+    const offlineRelay = relayURLs[1];
+    const phone = open({ relays: [offlineRelay], maxRetryCount: 1 });
+    const laptop = open({ relays: [offlineRelay] });
+    await Promise.all([phone.ready(), laptop.ready()]);
+
+    environment.emit('offline');
+    mockRelays[1]._server.close();
+    await phone.set('made-offline', 'published later');
+    assert.strictEqual(await phone.sync(), false, "❌ Publishing should fail while the relay is unreachable");
+    log("✅ Publishing gives up while the network is down");
+
+    mockRelays[1] = new MockRelay(offlineRelay);
+    environment.emit('hidden');
+    environment.emit('visible');
+    await new Promise(resolve => setTimeout(resolve, 500));
+    assert.strictEqual(phone.status().state, 'offline', "❌ The page becoming visible should not end the offline state");
+    assert.strictEqual(await laptop.get('made-offline'), undefined, "❌ Nothing should be published while still offline");
+    log("✅ A page that becomes visible while offline stays offline");
+
+    environment.emit('online');
+    await waitFor(async () => await laptop.get('made-offline') === 'published later', "❌ Pending changes were not published once back online");
+    log("✅ Pending changes are published and subscriptions renewed when the network comes back");
+
+    log("\n--- Test completed ---");
+  } finally {
+    await closeAll();
+    log("Test completed, connections closed.");
+  }
+}
+
+// Run the test
+runTest().catch(err => {
+  console.error("Fatal error:", err);
+  process.exit(1);
+});
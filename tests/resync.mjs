@@ -0,0 +1,75 @@
+// Import common test utilities
+import { setupTestEnvironment, logTestStart } from './common.mjs';
+
+// Import necessary tools
+import { generateSecretKey } from 'nostr-tools/pure';
+import * as nip19 from 'nostr-tools/nip19';
+import { createStore, createMemoryStorage } from '../index.js';
+import assert from 'node:assert/strict'; // Import assert
+
+// Test configuration
+const TEST_NAMESPACE = 'resync-test-' + Math.floor(Math.random() * 1000000);
+
+// Setup test environment
+const { relayURLs } = setupTestEnvironment();
+
+// Use console.log for test output
+const log = console.log.bind(console);
+
+async function runTest() {
+  logTestStart(import.meta.url); // Log the start of the test
+  log(`Starting resync test with namespace: ${TEST_NAMESPACE}`);
+
+  const options = {
+    namespace: TEST_NAMESPACE,
+    authNsec: nip19.nsecEncode(generateSecretKey()),
+    kvNsec: nip19.nsecEncode(generateSecretKey()),
+    relays: relayURLs,
+    debounce: 100,
+  };
+
+  const original = createStore(Object.assign({ storage: createMemoryStorage() }, options));
+  await original.setMany([['name', 'satoshi'], ['theme', 'dark'], ['fontSize', 14]]);
+  await original.sync();
+  await original.close();
+
+  log("\n--- Reinstalled device ---");
+  const storage = createMemoryStorage();
+  const reinstalled = createStore(Object.assign({ storage }, options));
+
+  try {
+    await reinstalled.ready();
+    assert.strictEqual(await reinstalled.get('name'), undefined, "❌ Our own events should not be applied by the subscription");
+
+    const restored = await reinstalled.resync({ full: true });
+    assert.strictEqual(restored, 3, "❌ resync() should report the restored keys");
+    assert.deepStrictEqual((await reinstalled.entries()).sort(), [['fontSize', 14], ['name', 'satoshi'], ['theme', 'dark']],
+      "❌ Data published by this device was not restored");
+    log("✅ A reinstalled device recovers the data it published itself");
+
+    log("\n--- Damaged local copy ---");
+    await storage.del('theme');
+    assert.strictEqual(await reinstalled.resync({ full: true }), 1, "❌ Only the missing key should be restored");
+    assert.strictEqual(await reinstalled.get('theme'), 'dark', "❌ Missing key was not restored");
+    assert.strictEqual(await reinstalled.resync({ full: true }), 0, "❌ Nothing should be restored when the local copy is complete");
+    log("✅ Missing keys are restored and a complete copy is left alone");
+
+    log("\n--- Newer local values win ---");
+    await reinstalled.set('name', 'hal');
+    assert.strictEqual(await reinstalled.resync({ full: true }), 0, "❌ An older event should not restore over a newer value");
+    assert.strictEqual(await reinstalled.get('name'), 'hal', "❌ resync() replaced a newer local value");
+    log("✅ Events are merged by their stamps");
+    await reinstalled.sync();
+
+    log("\n--- Test completed ---");
+  } finally {
+    await reinstalled.close();
+    log("Test completed, connections closed.");
+  }
+}
+
+// Run the test
+runTest().catch(err => {
+  console.error("Fatal error:", err);
+  process.exit(1);
+});
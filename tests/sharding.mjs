@@ -0,0 +1,130 @@
+// Import common test utilities
+import { setupTestEnvironment, logTestStart, waitFor } from './common.mjs';
+
+// Import necessary tools
+import { generateSecretKey, getPublicKey } from 'nostr-tools/pure';
+import { SimplePool } from 'nostr-tools/pool';
+import * as nip19 from 'nostr-tools/nip19';
+import * as nip44 from 'nostr-tools/nip44';
+import { createStore } from '../index.js';
+import { decodePayload } from '../codec.js';
+import assert from 'node:assert/strict'; // Import assert
+
+// Test configuration
+const TEST_NAMESPACE = 'sharding-test-' + Math.floor(Math.random() * 1000000);
+const SHARDS = 4;
+const NUM_KEYS = 20;
+
+// Setup test environment
+const { relayURLs, mockRelays } = setupTestEnvironment();
+
+// Use console.log for test output
+const log = console.log.bind(console);
+
+async function runTest() {
+  logTestStart(import.meta.url); // Log the start of the test
+  log(`Starting sharding test with namespace: ${TEST_NAMESPACE}`);
+
+  const kvNsec = nip19.nsecEncode(generateSecretKey());
+  const authSecretKey1 = generateSecretKey();
+  const authPubkey1 = getPublicKey(authSecretKey1);
+
+  const store1 = createStore({
+    namespace: TEST_NAMESPACE,
+    authNsec: nip19.nsecEncode(authSecretKey1),
+    kvNsec,
+    relays: relayURLs,
+    dbName: `client1-${TEST_NAMESPACE}`,
+    shards: SHARDS,
+    debounce: 100,
+  });
+
+  const store2 = createStore({
+    namespace: TEST_NAMESPACE,
+    kvNsec,
+    relays: relayURLs,
+    dbName: `client2-${TEST_NAMESPACE}`,
+    shards: SHARDS,
+  });
+
+  // Events client 1 has published (only available with mock relays)
+  const published = () => mockRelays.length ?
+    mockRelays[0].preloadedEvents.filter(e => e.kind === 30078 && e.pubkey === authPubkey1) :
+    null;
+  const dTagOf = (event) => event.tags.find(tag => tag[0] === 'd')[1];
+
+  const received = new Map();
+  store2.onChange((key, value) => received.set(key, value));
+
+  // Deltas client 1 publishes, collected as they arrive since they are retracted again
+  const kvSecretKey = nip19.decode(kvNsec).data;
+  const kvPubkey = getPublicKey(kvSecretKey);
+  const pool = new SimplePool();
+  const deltas = [];
+  pool.subscribeMany([relayURLs[0]], { kinds: [1078], authors: [authPubkey1] }, {
+    onevent: event => deltas.push(event)
+  });
+
+  try {
+    log("\n--- Writing keys across shards ---");
+    const entries = Array.from({ length: NUM_KEYS }, (_, i) => [`key-${i}`, { index: i, text: `Value number ${i}` }]);
+    await store1.setMany(entries);
+    assert.strictEqual(await store1.sync(), true, "❌ Sharded publish failed");
+
+    if (mockRelays.length) {
+      const tags = new Set(published().map(dTagOf));
+      log(`Published d tags: ${Array.from(tags).join(', ')}`);
+      assert.ok(tags.size > 1, "❌ Keys should have been spread over several shards");
+      assert.ok(Array.from(tags).every(tag => tag.startsWith(`${TEST_NAMESPACE}:shard:`)), "❌ Shard events should use derived d tags");
+      assert.strictEqual(published().length, tags.size, "❌ Each changed shard should be published exactly once");
+      log(`✅ ${NUM_KEYS} keys were published in ${tags.size} shard events`);
+
+      await waitFor(() => deltas.length === 1, "❌ Changes spanning shards should also be published as one delta", 5000);
+      const delta = decodePayload(nip44.decrypt(deltas[0].content, nip44.getConversationKey(kvSecretKey, kvPubkey)));
+      assert.deepStrictEqual(Object.keys(delta).sort(), entries.map(([key]) => key).sort(), "❌ The delta should hold every change of the batch");
+      const retracted = () => mockRelays[0].preloadedEvents.some(e => e.kind === 5 && e.pubkey === authPubkey1 &&
+        e.tags.some(tag => tag[0] === 'e' && tag[1] === deltas[0].id));
+      await waitFor(retracted, "❌ The delta was not retracted once every shard was published", 5000);
+      log("✅ Changes spanning shards went out together in a delta, retracted once the shards were published");
+    }
+
+    // Wait for client 2 to reassemble every shard
+    await waitFor(() => received.size >= NUM_KEYS, "❌ Client 2 did not receive every key", 5000);
+    for (const [key, value] of entries) {
+      assert.deepStrictEqual(await store2.get(key), value, `❌ Client 2 is missing ${key}`);
+    }
+    log("✅ Client 2 reassembled every key from the shard events");
+
+    log("\n--- Changing a single key ---");
+    const before = mockRelays.length ? published().length : 0;
+    await store1.set('key-7', 'changed');
+    await store1.sync();
+
+    if (mockRelays.length) {
+      const newEvents = published().slice(before);
+      assert.strictEqual(newEvents.length, 1, `❌ Expected one shard to be republished, got ${newEvents.length}`);
+      log(`✅ Only shard ${dTagOf(newEvents[0])} was republished`);
+      assert.strictEqual(deltas.length, 1, "❌ A change within one shard should not be published as a delta");
+    }
+
+    await waitFor(() => received.get('key-7') === 'changed', "❌ Client 2 did not receive the single key change", 5000);
+    assert.strictEqual(await store2.get('key-7'), 'changed', "❌ Client 2 did not receive the single key change");
+    log("✅ Client 2 received the single key change");
+
+    const { bytes } = await store1.size();
+    log(`Largest shard payload is ${bytes} bytes`);
+
+    log("\n--- Test completed ---");
+  } finally {
+    pool.close([relayURLs[0]]);
+    await store1.close();
+    await store2.close();
+    log("Test completed, connections closed.");
+  }
+}
+
+// Run the test
+runTest().catch(err => {
+  console.error("Fatal error:", err);
+  process.exit(1);
+});
@@ -0,0 +1,118 @@
+// Import common test utilities
+import { setupTestEnvironment, logTestStart } from './common.mjs';
+
+// Import necessary tools
+import { generateSecretKey } from 'nostr-tools/pure';
+import * as nip19 from 'nostr-tools/nip19';
+import { createStore, createIdbStorage, createLocalStorage, createMemoryStorage } from '../index.js';
+import { createFileStorage } from '../storage-file.js';
+import assert from 'node:assert/strict'; // Import assert
+import { mkdtemp, readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+
+// Test configuration
+const TEST_NAMESPACE = 'storage-test-' + Math.floor(Math.random() * 1000000);
+
+// Setup test environment
+const { relayURLs } = setupTestEnvironment();
+
+// Use console.log for test output
+const log = console.log.bind(console);
+
+// Minimal stand-in for the browser's localStorage
+function createFakeWebStorage() {
+  const items = new Map();
+  return {
+    get length() { return items.size; },
+    key: (i) => i < items.size ? Array.from(items.keys())[i] : null,
+    getItem: (key) => items.has(key) ? items.get(key) : null,
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: (key) => items.delete(key),
+  };
+}
+
+// Exercise the adapter interface directly
+async function checkAdapter(name, adapter) {
+  await adapter.set('a', { n: 1 });
+  await adapter.setMany([['b', 2], ['c', [3]]]);
+  assert.deepStrictEqual(await adapter.get('a'), { n: 1 }, `❌ ${name}: get after set failed`);
+  assert.deepStrictEqual(await adapter.getMany(['b', 'c', 'missing']), [2, [3], undefined], `❌ ${name}: getMany failed`);
+
+  const entries = (await adapter.entries()).sort(([a], [b]) => a.localeCompare(b));
+  assert.deepStrictEqual(entries, [['a', { n: 1 }], ['b', 2], ['c', [3]]], `❌ ${name}: entries failed`);
+
+  await adapter.del('a');
+  await adapter.delMany(['b']);
+  assert.strictEqual(await adapter.get('a'), undefined, `❌ ${name}: del failed`);
+  assert.strictEqual(await adapter.get('b'), undefined, `❌ ${name}: delMany failed`);
+
+  await adapter.clear();
+  assert.deepStrictEqual(await adapter.entries(), [], `❌ ${name}: clear failed`);
+  log(`✅ ${name} adapter implements get/set/del/entries/clear and batch methods`);
+}
+
+async function runTest() {
+  logTestStart(import.meta.url); // Log the start of the test
+  log(`Starting storage adapters test with namespace: ${TEST_NAMESPACE}`);
+
+  const tmp = await mkdtemp(path.join(tmpdir(), 'nostr-kv-'));
+  const filePath = path.join(tmp, 'store.json');
+
+  log("\n--- Testing adapters directly ---");
+  await checkAdapter('IndexedDB', createIdbStorage(`adapter-${TEST_NAMESPACE}`));
+  await checkAdapter('localStorage', createLocalStorage('nkv:', createFakeWebStorage()));
+  await checkAdapter('memory', createMemoryStorage());
+  await checkAdapter('file', createFileStorage(path.join(tmp, 'adapter.json')));
+
+  log("\n--- Testing sync between a memory store and a file store ---");
+  const kvNsec = nip19.nsecEncode(generateSecretKey());
+
+  const store1 = createStore({
+    namespace: TEST_NAMESPACE,
+    kvNsec,
+    relays: relayURLs,
+    storage: createMemoryStorage(),
+  });
+
+  const store2 = createStore({
+    namespace: TEST_NAMESPACE,
+    kvNsec,
+    relays: relayURLs,
+    storage: createFileStorage(filePath),
+  });
+
+  try {
+    const key = 'adapter-key';
+    const value = { message: 'Stored without IndexedDB' };
+
+    await store1.set(key, value);
+    const [synced, change] = await Promise.all([store1.sync(), store2.onChange()]);
+
+    assert.strictEqual(synced, true, "❌ Memory-backed store failed to publish");
+    assert.strictEqual(change.key, key, `❌ Unexpected key received: ${change.key}`);
+    assert.deepStrictEqual(await store2.get(key), value, "❌ File-backed store has the wrong value");
+    log("✅ Value synced from the memory store to the file store");
+
+    const onDisk = JSON.parse(await readFile(filePath, 'utf8'));
+    assert.deepStrictEqual(onDisk[key].value, value, "❌ File store did not persist the value to disk");
+    log("✅ File store persisted the value to disk");
+
+    const reopened = createFileStorage(filePath);
+    assert.deepStrictEqual((await reopened.get(key)).value, value, "❌ Reopened file store lost the value");
+    log("✅ File store reloads its contents from disk");
+
+    log("\n--- Test completed ---");
+  } finally {
+    await store1.close();
+    await store2.close();
+    await rm(tmp, { recursive: true, force: true });
+    log("Test completed, connections closed.");
+  }
+}
+
+// Run the test
+runTest().catch(err => {
+  console.error("Fatal error:", err);
+  process.exit(1);
+});
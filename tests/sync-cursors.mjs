@@ -0,0 +1,133 @@
+// Import common test utilities
+import { setupTestEnvironment, logTestStart, waitFor } from './common.mjs';
+
+// Import necessary tools
+import { finalizeEvent, generateSecretKey, getPublicKey } from 'nostr-tools/pure';
+import * as nip19 from 'nostr-tools/nip19';
+import * as nip44 from 'nostr-tools/nip44';
+import { SimplePool } from 'nostr-tools/pool';
+import { createStore, createMemoryStorage } from '../index.js';
+import assert from 'node:assert/strict'; // Import assert
+
+// Test configuration
+const TEST_NAMESPACE = 'sync-cursors-test-' + Math.floor(Math.random() * 1000000);
+
+// Setup test environment
+const { relayURLs } = setupTestEnvironment();
+
+// Use console.log for test output
+const log = console.log.bind(console);
+
+async function runTest() {
+  logTestStart(import.meta.url); // Log the start of the test
+  log(`Starting sync cursors test with namespace: ${TEST_NAMESPACE}`);
+
+  const kvSecretKey = generateSecretKey();
+  const kvNsec = nip19.nsecEncode(kvSecretKey);
+  const kvPubkey = getPublicKey(kvSecretKey);
+  const conversationKey = nip44.getConversationKey(kvSecretKey, kvPubkey);
+  const [fastRelay, laggingRelay] = relayURLs;
+  const now = Math.floor(Date.now() / 1000);
+
+  // Publish an entry from another device to a single relay, with a chosen created_at
+  const pool = new SimplePool();
+  const writer = generateSecretKey();
+  const publishTo = (relay, key, value, createdAt) => Promise.any(pool.publish([relay], finalizeEvent({
+    kind: 30078,
+    created_at: createdAt,
+    tags: [["d", TEST_NAMESPACE], ["p", kvPubkey]],
+    content: nip44.encrypt(JSON.stringify({ [key]: { value, lastModified: createdAt * 1000 } }), conversationKey),
+  }, writer)));
+
+  const storage = createMemoryStorage([['_nkvmeta_lastSync', Date.now()]]);
+  const open = () => createStore({
+    namespace: TEST_NAMESPACE,
+    kvNsec,
+    relays: [fastRelay, laggingRelay],
+    storage,
+  });
+
+  let store = open();
+
+  try {
+    log("\n--- Cursors are kept per relay, in seconds ---");
+    await publishTo(laggingRelay, 'old', 1, now - 600);
+    await store.ready();
+    assert.strictEqual(await store.get('old'), 1, "❌ The old last sync time should not hide earlier events");
+    assert.strictEqual(await storage.get('_nkvmeta_lastSync'), undefined, "❌ The old last sync time should be dropped");
+    log("✅ The old millisecond last sync time is dropped");
+
+    const received = store.onChange();
+    await publishTo(fastRelay, 'new', 2, now);
+    await received;
+    await new Promise(resolve => setTimeout(resolve, 200));
+
+    assert.strictEqual(await storage.get(`_nkvmeta_cursor:${fastRelay}`), now, "❌ Fast relay cursor should be the newest created_at from it");
+    assert.strictEqual(await storage.get(`_nkvmeta_cursor:${laggingRelay}`), now - 600, "❌ Lagging relay cursor should only move with its own events");
+    log("✅ Each relay's cursor is the created_at of the newest event merged from it");
+    await store.close();
+
+    log("\n--- A lagging relay doesn't hide events ---");
+    // Reaches the lagging relay after we have seen newer events elsewhere
+    await publishTo(laggingRelay, 'late', 3, now - 300);
+
+    store = open();
+    await store.ready();
+    assert.strictEqual(await store.get('late'), 3, "❌ Event older than the newest one seen on another relay was missed");
+    log("✅ Events that reach a lagging relay late are still fetched");
+
+    await store.close();
+    await publishTo(fastRelay, 'skewed', 4, now - 30);
+    store = open();
+    await store.ready();
+    assert.strictEqual(await store.get('skewed'), 4, "❌ Event within the overlap window before the cursor was missed");
+    log("✅ Events slightly older than the cursor are fetched");
+    await store.close();
+
+    log("\n--- An event that fails to merge holds the cursor ---");
+    // Writes of the key 'flaky' fail until failWrites is turned off
+    const flakyBase = createMemoryStorage();
+    let failWrites = true;
+    const rejectFlaky = (keys) => {
+      if (failWrites && keys.includes('flaky')) throw new Error('Disk full');
+    };
+    const flakyStorage = Object.assign({}, flakyBase, {
+      set: async (key, value) => {
+        rejectFlaky([key]);
+        return flakyBase.set(key, value);
+      },
+      setMany: async (entries) => {
+        rejectFlaky(entries.map(([key]) => key));
+        return flakyBase.setMany(entries);
+      },
+    });
+    store = createStore({ namespace: TEST_NAMESPACE, kvNsec, relays: [fastRelay], storage: flakyStorage });
+    await store.ready();
+
+    const later = Math.floor(Date.now() / 1000);
+    await publishTo(fastRelay, 'flaky', 5, later - 100);
+    await publishTo(fastRelay, 'after-flaky', 6, later);
+    await waitFor(async () => await store.get('after-flaky') === 6, "❌ Event after the failed one was not merged");
+    // The events are delivered in either order, the cursor ends up back at the failed one
+    await waitFor(async () => await flakyBase.get(`_nkvmeta_cursor:${fastRelay}`) === later - 100, "❌ The cursor moved past an event that failed to merge");
+    assert.strictEqual(await store.get('flaky'), undefined, "❌ The failing write should not have been stored");
+    log("✅ The cursor stays at an event that failed to merge");
+
+    failWrites = false;
+    await waitFor(async () => await store.get('flaky') === 5, "❌ The failed event was not tried again");
+    await waitFor(async () => await flakyBase.get(`_nkvmeta_cursor:${fastRelay}`) === later, "❌ The cursor did not move on once the event merged");
+    log("✅ The failed event is tried again and the cursor moves on once it merges");
+
+    log("\n--- Test completed ---");
+  } finally {
+    pool.close(relayURLs);
+    await store.close();
+    log("Test completed, connections closed.");
+  }
+}
+
+// Run the test
+runTest().catch(err => {
+  console.error("Fatal error:", err);
+  process.exit(1);
+});
@@ -0,0 +1,105 @@
+// Import common test utilities
+import { setupTestEnvironment, logTestStart, MockRelay, waitFor, createTestEnvironment } from './common.mjs';
+
+// Import necessary tools
+import { generateSecretKey } from 'nostr-tools/pure';
+import * as nip19 from 'nostr-tools/nip19';
+import { createStore, createMemoryStorage } from '../index.js';
+import assert from 'node:assert/strict'; // Import assert
+
+// Test configuration
+const TEST_NAMESPACE = 'sync-status-test-' + Math.floor(Math.random() * 1000000);
+
+// Setup test environment
+const { relayURLs, mockRelays } = setupTestEnvironment();
+
+// Use console.log for test output
+const log = console.log.bind(console);
+
+async function runTest() {
+  logTestStart(import.meta.url); // Log the start of the test
+  log(`Starting sync status test with namespace: ${TEST_NAMESPACE}`);
+
+  const relay = relayURLs[0];
+  const environment = createTestEnvironment();
+  const store = createStore({
+    namespace: TEST_NAMESPACE,
+    kvNsec: nip19.nsecEncode(generateSecretKey()),
+    relays: [relay],
+    debounce: 100,
+    maxRetryCount: 2,
+    storage: createMemoryStorage(),
+    environment,
+  });
+
+  const states = [];
+  store.onStatus(status => states.push(status));
+
+  try {
+    await store.ready();
+    assert.deepStrictEqual(store.status(), { state: 'idle', pending: 0 }, "❌ A new store should be idle");
+    log("✅ A new store is idle with nothing pending");
+
+    log("\n--- Publishing ---");
+    await store.setMany([['theme', 'dark'], ['fontSize', 14]]);
+    assert.deepStrictEqual(store.status(), { state: 'debouncing', pending: 2 }, "❌ Writes should wait for the debounce");
+    log("✅ Writes are reported as debouncing with the pending count");
+
+    assert.strictEqual(await store.sync(), true, "❌ Publishing failed");
+    assert.deepStrictEqual(states.map(status => status.state), ['debouncing', 'publishing', 'idle'],
+      "❌ Unexpected status changes while publishing");
+    assert.strictEqual(states[states.length - 1].pending, 0, "❌ Published changes should no longer be pending");
+    log("✅ Listeners see debouncing, publishing and idle once published");
+
+    log("\n--- Offline ---");
+    const wentOffline = store.onStatus();
+    environment.emit('offline');
+    assert.deepStrictEqual(await wentOffline, { state: 'offline', pending: 0 }, "❌ Going offline was not reported");
+
+    await store.set('made-offline', true);
+    assert.deepStrictEqual(store.status(), { state: 'offline', pending: 1 }, "❌ Offline status should count pending changes");
+    log("✅ Offline is reported with the number of pending changes");
+
+    environment.emit('online');
+    assert.strictEqual(await store.sync(), true, "❌ Publishing failed once back online");
+    assert.deepStrictEqual(store.status(), { state: 'idle', pending: 0 }, "❌ The store should be idle once published");
+    log("✅ Back online the publish state is reported again");
+
+    log("\n--- Failing publishes ---");
+    states.length = 0;
+    mockRelays[0]._server.close();
+    await store.set('unreachable', true);
+    assert.strictEqual(await store.sync(), false, "❌ Publishing should fail while the relay is unreachable");
+
+    const retrying = states.find(status => status.state === 'retrying');
+    assert.ok(retrying, "❌ Retries were not reported");
+    assert.strictEqual(retrying.attempt, 1, "❌ Retry should report its attempt");
+    assert.strictEqual(retrying.delay, 1000, "❌ Retry should report its delay");
+    assert.ok(retrying.retryAt > Date.now() - 5000, "❌ Retry should report when it happens");
+    assert.strictEqual(typeof retrying.error, 'string', "❌ Retry should report the error");
+    log("✅ Retries report the attempt, delay and time of the next attempt");
+
+    assert.strictEqual(store.status().state, 'failed', "❌ Giving up was not reported");
+    assert.strictEqual(store.status().attempt, 2, "❌ Failure should report the attempts made");
+    assert.strictEqual(store.status().pending, 1, "❌ Failed changes should still be pending");
+    log("✅ Giving up is reported as failed, with the changes still pending");
+
+    mockRelays[0] = new MockRelay(relay);
+    environment.emit('offline');
+    environment.emit('online');
+    await waitFor(() => store.status().state === 'idle', "❌ Pending changes were not published once back online");
+    assert.strictEqual(store.status().pending, 0, "❌ Nothing should be pending once published");
+    log("✅ Pending changes are published and the store is idle again");
+
+    log("\n--- Test completed ---");
+  } finally {
+    await store.close();
+    log("Test completed, connections closed.");
+  }
+}
+
+// Run the test
+runTest().catch(err => {
+  console.error("Fatal error:", err);
+  process.exit(1);
+});
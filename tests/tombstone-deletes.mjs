@@ -0,0 +1,100 @@
+// Import common test utilities
+import { setupTestEnvironment, logTestStart } from './common.mjs';
+
+// Import necessary tools
+import { generateSecretKey } from 'nostr-tools/pure';
+import * as nip19 from 'nostr-tools/nip19';
+import { createStore, createMemoryStorage } from '../index.js';
+import assert from 'node:assert/strict'; // Import assert
+
+// Test configuration
+const TEST_NAMESPACE = 'tombstone-test-' + Math.floor(Math.random() * 1000000);
+const TOMBSTONE_RETENTION = 2000; // Short retention so garbage collection can be observed
+
+// Setup test environment
+const { relayURLs } = setupTestEnvironment();
+
+// Use console.log for test output
+const log = console.log.bind(console);
+
+// Wait for a change to a specific key
+function waitForKey(store, wanted) {
+  return new Promise(resolve => {
+    const remove = store.onChange((key, value) => {
+      if (key === wanted) {
+        remove();
+        resolve({ key, value });
+      }
+    });
+  });
+}
+
+async function runTest() {
+  logTestStart(import.meta.url); // Log the start of the test
+  log(`Starting tombstone test with namespace: ${TEST_NAMESPACE}`);
+
+  const kvNsec = nip19.nsecEncode(generateSecretKey());
+  const storage1 = createMemoryStorage();
+
+  const store1 = createStore({
+    namespace: TEST_NAMESPACE,
+    kvNsec,
+    relays: relayURLs,
+    storage: storage1,
+    debounce: 100,
+    tombstoneRetention: TOMBSTONE_RETENTION,
+  });
+
+  const store2 = createStore({
+    namespace: TEST_NAMESPACE,
+    kvNsec,
+    relays: relayURLs,
+    dbName: `client2-${TEST_NAMESPACE}`,
+    debounce: 100,
+  });
+
+  try {
+    const key = 'doomed-key';
+    const value = { message: 'About to be deleted' };
+
+    log("\n--- Setting a value on client 1 ---");
+    await store1.set(key, value);
+    const [, received] = await Promise.all([store1.sync(), waitForKey(store2, key)]);
+    assert.deepStrictEqual(received.value, value, "❌ Client 2 did not receive the value");
+    log("✅ Client 2 received the value");
+
+    log("\n--- Deleting the value on client 1 ---");
+    await store1.del(key);
+    assert.strictEqual(await store1.get(key), undefined, "❌ get() should hide the tombstone locally");
+    log("✅ get() returns undefined for a deleted key");
+
+    const [, deletion] = await Promise.all([store1.sync(), waitForKey(store2, key)]);
+    assert.strictEqual(deletion.value, undefined, "❌ onChange should report the deleted key as undefined");
+    assert.strictEqual(await store2.get(key), undefined, "❌ Client 2 still has the deleted key");
+    log("✅ Deletion propagated to client 2");
+
+    log("\n--- Checking the tombstone is kept locally ---");
+    const raw = await storage1.get(key);
+    assert.ok(raw && raw.meta.deleted, "❌ Client 1 should keep a tombstone for the deleted key");
+    log("✅ Client 1 keeps a tombstone with lastModified", raw.meta.lastModified);
+
+    log("\n--- Checking tombstone garbage collection ---");
+    await new Promise(resolve => setTimeout(resolve, TOMBSTONE_RETENTION + 200));
+    await store1.set('other-key', 'trigger a publish');
+    await store1.sync();
+    assert.strictEqual(await storage1.get(key), undefined, "❌ Expired tombstone was not purged");
+    log("✅ Expired tombstone was purged on the next publish");
+
+    log("\n--- Test completed ---");
+  } finally {
+    await store1.close();
+    await store2.close();
+    log("Test completed, connections closed.");
+  }
+}
+
+// Run the test
+runTest().catch(err => {
+  console.error("Fatal error:", err);
+  process.exit(1);
+});
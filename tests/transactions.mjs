@@ -0,0 +1,125 @@
+// Import common test utilities
+import { setupTestEnvironment, logTestStart } from './common.mjs';
+
+// Import necessary tools
+import { generateSecretKey } from 'nostr-tools/pure';
+import * as nip19 from 'nostr-tools/nip19';
+import { createStore, createMemoryStorage } from '../index.js';
+import assert from 'node:assert/strict'; // Import assert
+
+// Test configuration
+const TEST_NAMESPACE = 'transaction-test-' + Math.floor(Math.random() * 1000000);
+
+// Setup test environment
+const { relayURLs } = setupTestEnvironment();
+
+// Use console.log for test output
+const log = console.log.bind(console);
+
+async function runTest() {
+  logTestStart(import.meta.url); // Log the start of the test
+  log(`Starting transaction test with namespace: ${TEST_NAMESPACE}`);
+
+  const kvNsec = nip19.nsecEncode(generateSecretKey());
+  const storage1 = createMemoryStorage();
+
+  const store1 = createStore({
+    namespace: TEST_NAMESPACE,
+    kvNsec,
+    relays: relayURLs,
+    storage: storage1,
+    debounce: 100,
+  });
+
+  const store2 = createStore({
+    namespace: TEST_NAMESPACE,
+    kvNsec,
+    relays: relayURLs,
+    dbName: `client2-${TEST_NAMESPACE}`,
+  });
+
+  try {
+    await store1.set('todo:old', { title: 'Old item' });
+    await store1.set('todo:index', ['old']);
+    await store1.sync();
+
+    log("\n--- Committing a transaction ---");
+    const localBatches = [];
+    store1.onChange(changes => localBatches.push(changes), { batch: true });
+
+    const remoteBatch = new Promise(resolve => {
+      const remove = store2.onChange(changes => {
+        if (changes.some(({ key }) => key === 'todo:new')) {
+          remove();
+          resolve(changes);
+        }
+      }, { batch: true });
+    });
+
+    const result = await store1.transaction(async tx => {
+      const index = await tx.get('todo:index');
+      tx.set('todo:new', { title: 'New item' });
+      tx.del('todo:old');
+      tx.set('todo:index', index.filter(id => id !== 'old').concat(['new']));
+      assert.deepStrictEqual(await tx.get('todo:index'), ['new'], "❌ tx.get should see the transaction's own writes");
+      assert.strictEqual(await tx.get('todo:old'), undefined, "❌ tx.get should see the transaction's own deletes");
+      return 'done';
+    });
+
+    assert.strictEqual(result, 'done', "❌ transaction() should resolve with the callback's return value");
+    assert.deepStrictEqual(await store1.get('todo:index'), ['new'], "❌ Transaction writes were not stored");
+    assert.strictEqual(await store1.get('todo:old'), undefined, "❌ Transaction delete was not stored");
+    log("✅ Transaction writes were applied locally");
+
+    const stamps = new Set();
+    for (const key of ['todo:new', 'todo:old', 'todo:index']) {
+      stamps.add((await storage1.get(key)).meta.lastModified);
+    }
+    assert.strictEqual(stamps.size, 1, "❌ Transaction writes should share one lastModified");
+    log("✅ Transaction writes share one lastModified");
+
+    assert.strictEqual(localBatches.length, 1, `❌ Expected one local batch notification, got ${localBatches.length}`);
+    assert.strictEqual(localBatches[0].length, 3, "❌ Local batch notification should include every key");
+    log("✅ Local listeners were notified once for the batch");
+
+    await store1.sync();
+    const changes = await remoteBatch;
+    const byKey = Object.fromEntries(changes.map(({ key, value }) => [key, value]));
+    assert.deepStrictEqual(byKey['todo:new'], { title: 'New item' }, "❌ Remote batch is missing the new item");
+    assert.deepStrictEqual(byKey['todo:index'], ['new'], "❌ Remote batch is missing the index update");
+    assert.ok('todo:old' in byKey && byKey['todo:old'] === undefined, "❌ Remote batch is missing the delete");
+    log("✅ Client 2 received every change of the transaction in one batch");
+
+    log("\n--- Aborting a transaction ---");
+    await assert.rejects(store1.transaction(async tx => {
+      tx.set('todo:index', []);
+      throw new Error('abort');
+    }), /abort/);
+    assert.deepStrictEqual(await store1.get('todo:index'), ['new'], "❌ Aborted transaction wrote changes");
+    log("✅ Aborted transaction wrote nothing");
+
+    log("\n--- Writes during a transaction ---");
+    let concurrentSet;
+    await store1.transaction(async tx => {
+      const index = await tx.get('todo:index');
+      concurrentSet = store1.set('todo:index', ['concurrent']);
+      await new Promise(resolve => setTimeout(resolve, 200));
+      tx.set('todo:index', [...index, 'from-transaction']);
+    });
+    await concurrentSet;
+    assert.deepStrictEqual(await store1.get('todo:index'), ['concurrent'], "❌ A write made during the transaction was overwritten by it");
+    log("✅ A write made during a transaction is applied after it instead of being overwritten");
+
+    log("\n--- Test completed ---");
+  } finally {
+    await store1.close();
+    await store2.close();
+    log("Test completed, connections closed.");
+  }
+}
+
+// Run the test
+runTest().catch(err => {
+  console.error("Fatal error:", err);
+  process.exit(1);
+});
@@ -0,0 +1,98 @@
+// Import common test utilities
+import { setupTestEnvironment, logTestStart } from './common.mjs';
+
+// Import necessary tools
+import { generateSecretKey } from 'nostr-tools/pure';
+import * as nip19 from 'nostr-tools/nip19';
+import { createStore } from '../index.js';
+import { encodePayload, decodePayload } from '../codec.js';
+import assert from 'node:assert/strict'; // Import assert
+
+// Test configuration
+const TEST_NAMESPACE = 'wire-format-test-' + Math.floor(Math.random() * 1000000);
+
+// Setup test environment
+const { relayURLs } = setupTestEnvironment();
+
+// Use console.log for test output
+const log = console.log.bind(console);
+
+async function runTest() {
+  logTestStart(import.meta.url); // Log the start of the test
+  log(`Starting wire format test with namespace: ${TEST_NAMESPACE}`);
+
+  log("\n--- Testing payload encoding round trips ---");
+  const data = {};
+  for (let i = 0; i < 50; i++) {
+    data[`setting-${i}`] = { value: { enabled: true, label: `Setting number ${i}` }, lastModified: 1700000000000 + i };
+  }
+  data.removed = { value: null, lastModified: 1700000001000, deleted: true };
+
+  const json = encodePayload(data);
+  const compact = encodePayload(data, { format: 'compact' });
+  const compressed = encodePayload(data, { format: 'compact', compress: true });
+
+  assert.ok(json.startsWith('{'), "❌ JSON payloads should stay readable by older devices");
+  assert.ok(compact.startsWith('nkv2:m:'), "❌ Compact payload is missing its version marker");
+  assert.ok(compressed.startsWith('nkv2:mz:'), "❌ Compressed payload is missing its version marker");
+
+  for (const [name, payload] of [['json', json], ['compact', compact], ['compressed', compressed]]) {
+    assert.deepStrictEqual(decodePayload(payload), data, `❌ ${name} payload did not round trip`);
+  }
+  log("✅ All formats round trip, including tombstones");
+
+  log(`Payload sizes - json: ${json.length}, compact: ${compact.length}, compressed: ${compressed.length}`);
+  assert.ok(compact.length < json.length, "❌ Compact payload should be smaller than JSON");
+  assert.ok(compressed.length < compact.length, "❌ Compressed payload should be smaller than compact");
+  log("✅ Compact and compressed payloads are smaller");
+
+  assert.throws(() => decodePayload('nkv9:m:AAAA'), /Unsupported payload version/, "❌ Unknown versions should be rejected");
+  log("✅ Unknown payload versions are rejected");
+
+  log("\n--- Testing mixed format clients ---");
+  const kvNsec = nip19.nsecEncode(generateSecretKey());
+
+  const upgraded = createStore({
+    namespace: TEST_NAMESPACE,
+    kvNsec,
+    relays: relayURLs,
+    dbName: `upgraded-${TEST_NAMESPACE}`,
+    format: 'compact',
+    compress: true,
+  });
+
+  const legacy = createStore({
+    namespace: TEST_NAMESPACE,
+    kvNsec,
+    relays: relayURLs,
+    dbName: `legacy-${TEST_NAMESPACE}`,
+  });
+
+  try {
+    const value1 = { message: 'Sent in the compact format' };
+    await upgraded.set('from-upgraded', value1);
+    const [, change1] = await Promise.all([upgraded.sync(), legacy.onChange()]);
+    assert.strictEqual(change1.key, 'from-upgraded', `❌ Unexpected key received: ${change1.key}`);
+    assert.deepStrictEqual(change1.value, value1, "❌ JSON client could not read the compact payload");
+    log("✅ A client publishing JSON reads compact payloads");
+
+    const value2 = { message: 'Sent in the JSON format' };
+    await legacy.set('from-legacy', value2);
+    const [, change2] = await Promise.all([legacy.sync(), upgraded.onChange()]);
+    assert.strictEqual(change2.key, 'from-legacy', `❌ Unexpected key received: ${change2.key}`);
+    assert.deepStrictEqual(change2.value, value2, "❌ Compact client could not read the JSON payload");
+    log("✅ A client publishing compact payloads still reads JSON payloads");
+
+    log("\n--- Test completed ---");
+  } finally {
+    await upgraded.close();
+    await legacy.close();
+    log("Test completed, connections closed.");
+  }
+}
+
+// Run the test
+runTest().catch(err => {
+  console.error("Fatal error:", err);
+  process.exit(1);
+});